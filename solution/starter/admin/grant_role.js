@@ -0,0 +1,40 @@
+require('dotenv').config();
+
+const { connect, close } = require('../server/db/connection');
+const { ROLES, setAccountRole } = require('../server/db/accounts');
+
+// Grant or revoke an admin API role (see server/routes/admin.js)
+async function grantRole(account, role, revoke) {
+    if (!account || !ROLES.includes(role)) {
+        console.error('Usage: node admin/grant_role.js <email|userId> <role> [--revoke]');
+        console.error(`Roles: ${ROLES.join(', ')}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const { db } = await connect();
+
+    const query = account.includes('@') ? { email: account } : { userId: parseInt(account) };
+    const updated = await setAccountRole(db, query, role, !revoke);
+
+    if (!updated) {
+        console.error(`No account found for ${account}.`);
+        process.exitCode = 1;
+        return;
+    }
+
+    console.log(`${revoke ? 'Revoked' : 'Granted'} ${role} for user ${updated.userId}${updated.email ? ` (${updated.email})` : ''}.`);
+    console.log(`Roles: ${(updated.roles || []).join(', ') || 'none'}`);
+}
+
+(async () => {
+    try {
+        const [,, account, role, flag] = process.argv;
+        await grantRole(account, role, flag === '--revoke');
+    } catch (error) {
+        console.error('An error occurred:', error);
+        process.exitCode = 1;
+    } finally {
+        await close();
+    }
+})();
@@ -1,4 +1,6 @@
 const { connect, close } = require('../server/db/connection');
+const { deriveRatingStats, getGlobalMean, incrementPlatformStats } = require('../server/db/movie_stats');
+const { bumpCacheVersion } = require('../server/db/cache_version');
 
 async function mergeDuplicates(title, year) {
     if (!title || !year) {
@@ -32,8 +34,41 @@ async function mergeDuplicates(title, year) {
         await session.withTransaction(async () => {
             console.log('Starting transaction...');
 
-            const ratingsToMove = await ratingsCollection.find({ movieId: { $in: duplicateMovieIds } }).toArray();
-            console.log(`Found ${ratingsToMove.length} ratings to move.`);
+            // A user can rate a movie once, so a user who rated more than one of the
+            // copies keeps only their latest rating
+            const primaryRatings = await ratingsCollection.find({ movieId: primaryMovie.movieId }).toArray();
+            const duplicateRatings = await ratingsCollection
+                .find({ movieId: { $in: duplicateMovieIds } })
+                .sort({ timestamp: -1 })
+                .toArray();
+            const latestByUser = new Map(primaryRatings.map(r => [r.userId, r]));
+            const ratingsToMove = [];
+            const ratingsToDrop = [];
+
+            duplicateRatings.forEach(rating => {
+                const kept = latestByUser.get(rating.userId);
+                if (!kept) {
+                    latestByUser.set(rating.userId, rating);
+                    ratingsToMove.push(rating);
+                } else if (kept.movieId === primaryMovie.movieId && rating.timestamp > kept.timestamp) {
+                    // Newer than the user's rating on the primary movie: replace that one
+                    ratingsToDrop.push(kept);
+                    latestByUser.set(rating.userId, rating);
+                    ratingsToMove.push(rating);
+                } else {
+                    ratingsToDrop.push(rating);
+                }
+            });
+            console.log(`Found ${ratingsToMove.length} ratings to move and ${ratingsToDrop.length} superseded ratings to drop.`);
+
+            if (ratingsToDrop.length > 0) {
+                await ratingsCollection.deleteMany({ _id: { $in: ratingsToDrop.map(r => r._id) } });
+                await incrementPlatformStats(db, {
+                    ratingSum: -ratingsToDrop.reduce((acc, r) => acc + r.rating, 0),
+                    ratingCount: -ratingsToDrop.length
+                });
+                console.log('Superseded ratings dropped.');
+            }
 
             if (ratingsToMove.length > 0) {
                 const ratingOps = ratingsToMove.map(rating => {
@@ -51,22 +86,26 @@ async function mergeDuplicates(title, year) {
             const allRatings = await ratingsCollection.find({ movieId: primaryMovie.movieId }).toArray();
             const totalRating = allRatings.reduce((acc, r) => acc + r.rating, 0);
             const ratingCount = allRatings.length;
-            const averageRating = ratingCount > 0 ? totalRating / ratingCount : 0;
+            const { averageRating, weightedRating } = deriveRatingStats(totalRating, ratingCount, await getGlobalMean(db));
 
             console.log(`Recalculating ratings for primary movie: ${primaryMovie.movieId}`);
             console.log(`New average rating: ${averageRating}, New rating count: ${ratingCount}`);
 
             await moviesCollection.updateOne(
                 { movieId: primaryMovie.movieId },
-                { $set: { averageRating, ratingCount } }
+                { $set: { ratingSum: totalRating, ratingCount, averageRating, weightedRating } }
             );
             console.log('Primary movie ratings updated.');
 
-            await moviesCollection.deleteMany({ movieId: { $in: duplicateMovieIds } });
+            const { deletedCount } = await moviesCollection.deleteMany({ movieId: { $in: duplicateMovieIds } });
+            await incrementPlatformStats(db, { movieCount: -deletedCount });
             console.log(`Deleted ${duplicateMovies.length} duplicate movies.`);
 
             console.log('Transaction committed.');
         });
+
+        // Running servers drop responses cached from before the merge
+        await bumpCacheVersion(db);
     } catch (error) {
         console.error('Transaction aborted:', error);
     } finally {
@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+/**
+ * Firebase Auth Emulator Test
+ *
+ * Signs users in against the local Auth emulator and checks that the API
+ * verifies their ID tokens and maps them to CymbalFlix accounts:
+ * 1. Anonymous users have no account until they claim one, then get a numeric userId
+ * 2. The same Firebase user keeps the same userId, stamped on its ID token
+ * 3. Email link sign-in gets an account carrying the verified email
+ * 4. A tampered token is rejected with 401 INVALID_TOKEN
+ *
+ * Usage:
+ *   npm run emulators:auth          (in one terminal)
+ *   npm start                       (in another, with FIREBASE_AUTH_EMULATOR_HOST set)
+ *   npm run test:auth
+ *
+ * Environment variables (from .env or shell):
+ *   FIREBASE_AUTH_EMULATOR_HOST - Auth emulator host:port (e.g. 127.0.0.1:9099)
+ *   PROJECT_ID or GOOGLE_CLOUD_PROJECT - Your GCP project ID
+ *   API_URL - Running CymbalFlix server (default: http://localhost:8080)
+ */
+
+require('dotenv').config();
+
+const emulatorHost = process.env.FIREBASE_AUTH_EMULATOR_HOST;
+const projectId = process.env.PROJECT_ID || process.env.GOOGLE_CLOUD_PROJECT;
+const apiUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 8080}`;
+
+// The emulator accepts any API key
+const identityToolkit = `http://${emulatorHost}/identitytoolkit.googleapis.com/v1`;
+const secureToken = `http://${emulatorHost}/securetoken.googleapis.com/v1`;
+const emulatorAdmin = `http://${emulatorHost}/emulator/v1/projects/${projectId}`;
+
+let failures = 0;
+
+function check(condition, message) {
+  if (condition) {
+    console.log(`✅ ${message}`);
+  } else {
+    console.error(`❌ ${message}`);
+    failures++;
+  }
+}
+
+async function postJson(url, body) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(`${url} failed: ${JSON.stringify(data.error || data)}`);
+  }
+  return data;
+}
+
+// Ask the API who an ID token belongs to
+async function whoAmI(idToken) {
+  const response = await fetch(`${apiUrl}/api/auth/me`, {
+    headers: { Authorization: `Bearer ${idToken}` }
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function runTests() {
+  console.log('\n========================================');
+  console.log('🔐 Firebase Auth Emulator Test');
+  console.log('========================================\n');
+
+  if (!emulatorHost || !projectId) {
+    console.error('❌ ERROR: FIREBASE_AUTH_EMULATOR_HOST and PROJECT_ID must be set');
+    console.log('\nStart the emulator with npm run emulators:auth, then:');
+    console.log('  export FIREBASE_AUTH_EMULATOR_HOST=127.0.0.1:9099');
+    process.exit(1);
+  }
+
+  console.log('Configuration:');
+  console.log(`  Project ID:  ${projectId}`);
+  console.log(`  Emulator:    ${emulatorHost}`);
+  console.log(`  API:         ${apiUrl}`);
+
+  // Test 1: Anonymous sign-in
+  console.log('\n--- Test 1: Anonymous Sign-in ---');
+  const guest = await postJson(`${identityToolkit}/accounts:signUp?key=emulator-api-key`, {
+    returnSecureToken: true
+  });
+  const unclaimed = await whoAmI(guest.idToken);
+  check(unclaimed.status === 401, `Guest has no account before claiming one (HTTP ${unclaimed.status})`);
+
+  const claimResponse = await fetch(`${apiUrl}/api/auth/firebase`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${guest.idToken}` }
+  });
+  const first = { status: claimResponse.status, body: await claimResponse.json() };
+  check(first.status === 200, `API accepted the anonymous user's ID token (HTTP ${first.status})`);
+  check(Number.isInteger(first.body.user && first.body.user.userId), `Account created with userId ${first.body.user && first.body.user.userId}`);
+
+  // Test 2: Same user, same account
+  console.log('\n--- Test 2: Stable userId ---');
+  const second = await whoAmI(guest.idToken);
+  check(second.body.user && second.body.user.userId === first.body.user.userId, 'Second request maps to the same userId');
+
+  // The API sets a userId claim for the Firestore rules; a refreshed token carries it
+  const refreshed = await postJson(`${secureToken}/token?key=emulator-api-key`, {
+    grant_type: 'refresh_token',
+    refresh_token: guest.refreshToken
+  });
+  const refreshedClaims = JSON.parse(Buffer.from(refreshed.id_token.split('.')[1], 'base64url').toString());
+  check(refreshedClaims.userId === first.body.user.userId, `Refreshed ID token carries the userId claim (${refreshedClaims.userId})`);
+
+  // Test 3: Email link sign-in
+  console.log('\n--- Test 3: Email Link Sign-in ---');
+  const email = `auth-test-${Date.now()}@example.com`;
+  await postJson(`${identityToolkit}/accounts:sendOobCode?key=emulator-api-key`, {
+    requestType: 'EMAIL_SIGNIN',
+    email,
+    continueUrl: `${apiUrl}/realtime-demo.html`,
+    canHandleCodeInApp: true
+  });
+
+  // The emulator doesn't send mail; it lists the codes it would have sent
+  const { oobCodes } = await (await fetch(`${emulatorAdmin}/oobCodes`)).json();
+  const oobCode = oobCodes.reverse().find(code => code.email === email);
+  check(Boolean(oobCode), 'Emulator issued a sign-in link');
+
+  if (oobCode) {
+    const linkUser = await postJson(`${identityToolkit}/accounts:signInWithEmailLink?key=emulator-api-key`, {
+      email,
+      oobCode: oobCode.oobCode
+    });
+    const me = await whoAmI(linkUser.idToken);
+    check(me.status === 200 && me.body.user.email === email, `Account carries the verified email (${me.body.user && me.body.user.email})`);
+    check(me.body.user && me.body.user.userId !== first.body.user.userId, 'Email user has their own userId');
+  }
+
+  // Test 4: Tampered token
+  console.log('\n--- Test 4: Tampered Token ---');
+  const [header, payload] = guest.idToken.split('.');
+  const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  const forged = `${header}.${Buffer.from(JSON.stringify({ ...claims, aud: 'someone-else' })).toString('base64url')}.`;
+  const rejected = await whoAmI(forged);
+  check(rejected.status === 401 && rejected.body.code === 'INVALID_TOKEN', `Forged token rejected (HTTP ${rejected.status} ${rejected.body.code})`);
+
+  // Summary
+  console.log('\n========================================');
+  console.log(failures === 0 ? '📊 All checks passed' : `📊 ${failures} check(s) failed`);
+  console.log('========================================\n');
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+runTests().catch((error) => {
+  console.error('\n❌ Test run failed:', error.message);
+  process.exit(1);
+});
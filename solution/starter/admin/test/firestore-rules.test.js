@@ -0,0 +1,190 @@
+/**
+ * Firestore Security Rules Tests
+ *
+ * Checks admin/firestore.rules against the local Firestore emulator: catalog
+ * collections are read-only, and ratings can only be created, once per user
+ * and movie, by their signed-in owner (matching uid and userId claim), with a
+ * valid shape.
+ *
+ * Usage:
+ *   npm run test:rules
+ *
+ * This starts the emulator (firebase-tools, which needs Java) and runs this file
+ * with node --test. To run against an emulator that's already up:
+ *   FIRESTORE_EMULATOR_HOST=127.0.0.1:8085 node --test admin/test/firestore-rules.test.js
+ */
+
+const { test, before, after, beforeEach } = require('node:test');
+const fs = require('fs');
+const path = require('path');
+const { initializeTestEnvironment, assertFails, assertSucceeds } = require('@firebase/rules-unit-testing');
+const { doc, getDoc, setDoc, updateDoc, deleteDoc, addDoc, collection } = require('firebase/firestore');
+
+// demo- project IDs never reach real Google Cloud services
+const PROJECT_ID = 'demo-cymbalflix';
+
+let testEnv;
+
+before(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: PROJECT_ID,
+    firestore: {
+      rules: fs.readFileSync(path.join(__dirname, '../firestore.rules'), 'utf8')
+    }
+  });
+});
+
+after(async () => {
+  await testEnv.cleanup();
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+
+  // Seed data with rules disabled, as the import would
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    await setDoc(doc(db, 'movies/1'), { movieId: 1, title: 'Toy Story (1995)', genres: ['Animation'] });
+    await setDoc(doc(db, 'links/1'), { movieId: 1, imdbId: '0114709', tmdbId: 862 });
+    await setDoc(doc(db, 'tags/1'), { movieId: 1, userId: 1, tag: 'pixar', timestamp: 1139045764 });
+    await setDoc(doc(db, 'ratings/existing'), { movieId: 1, userId: 1, rating: 4, timestamp: 964982703 });
+    await setDoc(doc(db, 'accounts/a1'), { email: 'alice@example.com', userId: 611, firebaseUid: 'alice' });
+  });
+});
+
+function now() {
+  return Math.floor(Date.now() / 1000);
+}
+
+// A rating as realtime-src.js submitRating writes it
+function ratingFor(uid, overrides = {}) {
+  return { movieId: 1, userId: 611, uid, rating: 4.5, timestamp: now(), ...overrides };
+}
+
+// Create a rating under its ${userId}_${movieId} document ID, as submitRating does
+function createRating(db, rating) {
+  return setDoc(doc(db, 'ratings', `${rating.userId}_${rating.movieId}`), rating);
+}
+
+// Alice's token carries the userId claim the API stamps on linked users
+function aliceDb() {
+  return testEnv.authenticatedContext('alice', { userId: 611 }).firestore();
+}
+
+// --- Catalog collections ---
+
+for (const name of ['movies', 'links', 'tags']) {
+  test(`${name}: anyone can read`, async () => {
+    const db = testEnv.unauthenticatedContext().firestore();
+    await assertSucceeds(getDoc(doc(db, `${name}/1`)));
+  });
+
+  test(`${name}: signed-in users cannot create, update or delete`, async () => {
+    const db = aliceDb();
+    await assertFails(setDoc(doc(db, `${name}/2`), { movieId: 2 }));
+    await assertFails(updateDoc(doc(db, `${name}/1`), { movieId: 99 }));
+    await assertFails(deleteDoc(doc(db, `${name}/1`)));
+  });
+
+  test(`${name}: signed-out users cannot delete`, async () => {
+    const db = testEnv.unauthenticatedContext().firestore();
+    await assertFails(deleteDoc(doc(db, `${name}/1`)));
+  });
+}
+
+// --- Server-only collections ---
+
+test('accounts: closed to clients', async () => {
+  await assertFails(getDoc(doc(aliceDb(), 'accounts/a1')));
+  await assertFails(getDoc(doc(testEnv.unauthenticatedContext().firestore(), 'accounts/a1')));
+});
+
+// --- Ratings ---
+
+test('ratings: anyone can read', async () => {
+  const db = testEnv.unauthenticatedContext().firestore();
+  await assertSucceeds(getDoc(doc(db, 'ratings/existing')));
+});
+
+test('ratings: a signed-in user can create a valid rating', async () => {
+  await assertSucceeds(createRating(aliceDb(), ratingFor('alice')));
+});
+
+test('ratings: whole-number ratings are accepted', async () => {
+  await assertSucceeds(createRating(aliceDb(), ratingFor('alice', { rating: 3 })));
+});
+
+test('ratings: signed-out users cannot create', async () => {
+  const db = testEnv.unauthenticatedContext().firestore();
+  await assertFails(createRating(db, ratingFor('alice')));
+});
+
+test('ratings: uid must be the writer\'s', async () => {
+  await assertFails(createRating(aliceDb(), ratingFor('bob')));
+});
+
+test('ratings: userId must match the writer\'s userId claim', async () => {
+  await assertFails(createRating(aliceDb(), ratingFor('alice', { userId: 1 })));
+});
+
+test('ratings: users without a userId claim cannot create', async () => {
+  const guestDb = testEnv.authenticatedContext('guest').firestore();
+  await assertFails(createRating(guestDb, ratingFor('guest')));
+});
+
+test('ratings: movieId and userId must be positive integers', async () => {
+  const db = aliceDb();
+  await assertFails(createRating(db, ratingFor('alice', { movieId: '1' })));
+  await assertFails(createRating(db, ratingFor('alice', { movieId: 1.5 })));
+  await assertFails(createRating(db, ratingFor('alice', { movieId: 0 })));
+  await assertFails(createRating(db, ratingFor('alice', { userId: '611' })));
+  await assertFails(createRating(db, ratingFor('alice', { userId: -1 })));
+});
+
+test('ratings: rating must be 0.5 to 5.0 in steps of 0.5', async () => {
+  const db = aliceDb();
+  for (const rating of [0, 0.25, 3.14159, 5.5, 10, '4']) {
+    await assertFails(createRating(db, ratingFor('alice', { rating })));
+  }
+  // One movie each: a user rates a movie only once
+  for (const [movieId, rating] of [[1, 0.5], [2, 2.5], [3, 5]]) {
+    await assertSucceeds(createRating(db, ratingFor('alice', { movieId, rating })));
+  }
+});
+
+test('ratings: timestamp must be close to server time', async () => {
+  const db = aliceDb();
+  await assertFails(createRating(db, ratingFor('alice', { timestamp: now() - 24 * 60 * 60 })));
+  await assertFails(createRating(db, ratingFor('alice', { timestamp: now() + 24 * 60 * 60 })));
+  await assertFails(createRating(db, ratingFor('alice', { timestamp: String(now()) })));
+  await assertSucceeds(createRating(db, ratingFor('alice', { timestamp: now() - 60 })));
+});
+
+test('ratings: every field is required and no others are allowed', async () => {
+  const db = aliceDb();
+  const { timestamp, ...withoutTimestamp } = ratingFor('alice');
+  await assertFails(setDoc(doc(db, 'ratings/611_1'), withoutTimestamp));
+  await assertFails(createRating(db, ratingFor('alice', { admin: true })));
+});
+
+test('ratings: document ID must be ${userId}_${movieId}', async () => {
+  const db = aliceDb();
+  await assertFails(addDoc(collection(db, 'ratings'), ratingFor('alice')));
+  await assertFails(setDoc(doc(db, 'ratings/611_2'), ratingFor('alice')));
+  await assertFails(setDoc(doc(db, 'ratings/1_611'), ratingFor('alice')));
+});
+
+test('ratings: a second rating of the same movie is denied', async () => {
+  const db = aliceDb();
+  await assertSucceeds(createRating(db, ratingFor('alice')));
+  await assertFails(createRating(db, ratingFor('alice', { rating: 1 })));
+});
+
+test('ratings: cannot be updated or deleted, even by their owner', async () => {
+  const db = aliceDb();
+  const ref = doc(db, 'ratings/611_1');
+  await assertSucceeds(setDoc(ref, ratingFor('alice')));
+  await assertFails(updateDoc(ref, { rating: 1 }));
+  await assertFails(deleteDoc(ref));
+  await assertFails(deleteDoc(doc(db, 'ratings/existing')));
+});
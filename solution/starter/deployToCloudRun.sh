@@ -71,7 +71,7 @@ gcloud run deploy cymbalflix \
   --source . \
   --region "$REGION" \
   --service-account="$SERVICE_ACCOUNT" \
-  --set-env-vars="FIRESTORE_HOST=$FIRESTORE_HOST,FIRESTORE_DATABASE=$FIRESTORE_DATABASE,PROJECT_ID=$PROJECT_ID" \
+  --set-env-vars="FIRESTORE_HOST=$FIRESTORE_HOST,FIRESTORE_DATABASE=$FIRESTORE_DATABASE,PROJECT_ID=$PROJECT_ID,TRUST_PROXY_HOPS=1" \
   --allow-unauthenticated \
   --platform managed \
   --max-instances 10
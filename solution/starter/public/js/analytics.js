@@ -0,0 +1,165 @@
+// API base URL
+const API_BASE = '/api';
+
+// A genre needs this many ratings in a decade to appear in trends and rankings
+const MIN_DECADE_RATINGS = 50;
+
+// Genres drawn on the decade chart until the user picks others from the legend
+const TREND_GENRES_SHOWN = 6;
+
+const CHART_COLORS = [
+  '#0d6efd', '#dc3545', '#198754', '#fd7e14', '#6f42c1', '#20c997',
+  '#d63384', '#ffc107', '#0dcaf0', '#6c757d', '#6610f2', '#adb5bd'
+];
+
+// State
+let analytics = null;
+
+// Initialize page
+document.addEventListener('DOMContentLoaded', () => {
+  loadAnalytics();
+
+  document.getElementById('decadeSelect').addEventListener('change', (e) => {
+    displayDecadeRanking(parseInt(e.target.value));
+  });
+});
+
+// Load genre analytics
+async function loadAnalytics() {
+  try {
+    const params = new URLSearchParams({ minRatings: MIN_DECADE_RATINGS });
+    const response = await fetch(`${API_BASE}/analytics/genres?${params}`);
+
+    if (!response.ok) {
+      throw await apiError(response, 'Failed to load analytics');
+    }
+
+    analytics = await response.json();
+    displayAnalytics();
+  } catch (error) {
+    showError(error, 'Failed to load analytics. Please try again.');
+    console.error('Error loading analytics:', error);
+  } finally {
+    document.getElementById('loading').style.display = 'none';
+  }
+}
+
+// Render every chart and table
+function displayAnalytics() {
+  const { genres, decades, globalAverage } = analytics;
+  const ratedGenres = genres.filter(g => g.averageRating !== null);
+
+  document.getElementById('globalAverage').textContent =
+    globalAverage !== null ? globalAverage.toFixed(2) : 'N/A';
+  document.getElementById('analytics').style.display = 'block';
+
+  const byRating = [...ratedGenres].sort((a, b) => b.averageRating - a.averageRating);
+  new Chart(document.getElementById('genreRatingChart'), {
+    type: 'bar',
+    data: {
+      labels: byRating.map(g => g.genre),
+      datasets: [{
+        label: 'Average rating',
+        data: byRating.map(g => g.averageRating),
+        backgroundColor: '#ffc107'
+      }]
+    },
+    options: {
+      indexAxis: 'y',
+      plugins: { legend: { display: false } },
+      scales: { x: { min: 0, max: 5 } }
+    }
+  });
+
+  new Chart(document.getElementById('genreVolumeChart'), {
+    type: 'bar',
+    data: {
+      labels: ratedGenres.map(g => g.genre),
+      datasets: [{
+        label: 'Ratings',
+        data: ratedGenres.map(g => g.ratingCount),
+        backgroundColor: '#0d6efd'
+      }]
+    },
+    options: {
+      indexAxis: 'y',
+      plugins: { legend: { display: false } },
+      scales: { x: { beginAtZero: true } }
+    }
+  });
+
+  // Genres arrive ordered by rating volume
+  new Chart(document.getElementById('decadeTrendChart'), {
+    type: 'line',
+    data: {
+      labels: decades.map(d => `${d}s`),
+      datasets: ratedGenres.map((g, i) => {
+        const byDecade = new Map(g.decades.map(d => [d.decade, d.averageRating]));
+        const color = CHART_COLORS[i % CHART_COLORS.length];
+        return {
+          label: g.genre,
+          data: decades.map(d => (byDecade.has(d) ? byDecade.get(d) : null)),
+          borderColor: color,
+          backgroundColor: color,
+          spanGaps: true,
+          hidden: i >= TREND_GENRES_SHOWN
+        };
+      })
+    },
+    options: {
+      scales: { y: { min: 0, max: 5, title: { display: true, text: 'Average rating' } } }
+    }
+  });
+
+  const select = document.getElementById('decadeSelect');
+  select.innerHTML = decades
+    .map(d => `<option value="${d}">${d}s</option>`)
+    .join('');
+  document.getElementById('minRatingsNote').textContent =
+    `Genres with fewer than ${MIN_DECADE_RATINGS} ratings in a decade are left out.`;
+
+  if (decades.length > 0) {
+    // Start on the 1990s when available, otherwise the latest decade
+    const initial = decades.includes(1990) ? 1990 : decades[decades.length - 1];
+    select.value = initial;
+    displayDecadeRanking(initial);
+  }
+}
+
+// Rank genres by average rating within one release decade
+function displayDecadeRanking(decade) {
+  const rows = analytics.genres
+    .map(g => ({ genre: g.genre, stats: g.decades.find(d => d.decade === decade) }))
+    .filter(row => row.stats)
+    .sort((a, b) => b.stats.averageRating - a.stats.averageRating);
+
+  const tbody = document.getElementById('decadeRanking');
+
+  if (rows.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="5" class="text-center text-muted">No genres with enough ratings</td></tr>';
+    return;
+  }
+
+  tbody.innerHTML = rows.map((row, i) => `
+    <tr>
+      <td>${i + 1}</td>
+      <td><span class="badge bg-primary">${escapeHtml(row.genre)}</span></td>
+      <td><i class="bi bi-star-fill text-warning"></i> ${row.stats.averageRating.toFixed(2)}</td>
+      <td>${row.stats.ratingCount.toLocaleString()}</td>
+      <td>${row.stats.movieCount.toLocaleString()}</td>
+    </tr>
+  `).join('');
+}
+
+// Show error message for a failed API call (see errors.js)
+function showError(error, fallbackMessage) {
+  document.getElementById('errorText').textContent = describeApiError(error, fallbackMessage);
+  document.getElementById('errorMessage').style.display = 'block';
+}
+
+// Escape HTML to prevent XSS
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
@@ -4,11 +4,24 @@ const API_BASE = '/api';
 // State
 let currentPage = 0;
 const itemsPerPage = 20;
+// Cursor that loads each visited page; page 0 starts from the beginning
+let pageCursors = [null];
+let nextCursor = null;
+// Facet counts from the latest first-page load
+let latestFacets = null;
+let suggestTimer = null;
+let activeSuggestion = -1;
 let currentFilters = {
   search: '',
-  genre: '',
+  genres: [],
+  genreMode: 'all',
+  excludeGenres: [],
+  yearFrom: '',
+  yearTo: '',
   minRating: '',
-  sort: 'averageRating',
+  maxRating: '',
+  minRatingCount: '',
+  sort: 'weightedRating',
   order: 'desc'
 };
 
@@ -16,6 +29,7 @@ let currentFilters = {
 document.addEventListener('DOMContentLoaded', () => {
   loadGenres();
   loadStats();
+  loadTrending('30d');
   loadMovies();
   setupEventListeners();
 });
@@ -23,28 +37,38 @@ document.addEventListener('DOMContentLoaded', () => {
 // Setup event listeners
 function setupEventListeners() {
   // Search
-  document.getElementById('searchButton').addEventListener('click', () => {
-    currentPage = 0;
-    currentFilters.search = document.getElementById('searchInput').value;
-    loadMovies();
-  });
+  document.getElementById('searchButton').addEventListener('click', runSearch);
   
   document.getElementById('clearSearch').addEventListener('click', () => {
     document.getElementById('searchInput').value = '';
     currentFilters.search = '';
     currentPage = 0;
+    
+    // Relevance only means something while searching
+    if (currentFilters.sort === 'relevance') {
+      setSort('weightedRating', 'desc');
+    }
     loadMovies();
   });
   
   // Allow Enter key in search box
   document.getElementById('searchInput').addEventListener('keypress', (e) => {
     if (e.key === 'Enter') {
-      currentPage = 0;
-      currentFilters.search = document.getElementById('searchInput').value;
-      loadMovies();
+      runSearch();
     }
   });
   
+  setupSuggestions();
+  
+  // Trending window
+  document.querySelectorAll('#trendingSection [data-window]').forEach(button => {
+    button.addEventListener('click', () => {
+      document.querySelectorAll('#trendingSection [data-window]')
+        .forEach(b => b.classList.toggle('active', b === button));
+      loadTrending(button.dataset.window);
+    });
+  });
+  
   // Filters
   document.getElementById('applyFilters').addEventListener('click', () => {
     currentPage = 0;
@@ -69,16 +93,129 @@ function setupEventListeners() {
   
   document.getElementById('nextPage').addEventListener('click', (e) => {
     e.preventDefault();
-    currentPage++;
-    loadMovies();
+    if (nextCursor) {
+      pageCursors[currentPage + 1] = nextCursor;
+      currentPage++;
+      loadMovies();
+    }
   });
 }
 
+// Run a search, ordering results by relevance
+function runSearch() {
+  hideSuggestions();
+  currentPage = 0;
+  currentFilters.search = document.getElementById('searchInput').value.trim();
+  setSort(currentFilters.search ? 'relevance' : 'weightedRating', 'desc');
+  loadMovies();
+}
+
+// Title autocomplete dropdown for the search box
+function setupSuggestions() {
+  const input = document.getElementById('searchInput');
+  
+  input.addEventListener('input', () => {
+    clearTimeout(suggestTimer);
+    suggestTimer = setTimeout(() => loadSuggestions(input.value.trim()), 150);
+  });
+  
+  // Arrow keys move through suggestions; Enter opens the highlighted one
+  input.addEventListener('keydown', (e) => {
+    const items = document.querySelectorAll('#searchSuggestions .dropdown-item');
+    if (items.length === 0) return;
+    
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setActiveSuggestion((activeSuggestion + step + items.length) % items.length);
+    } else if (e.key === 'Enter' && activeSuggestion >= 0) {
+      e.preventDefault();
+      window.location.href = items[activeSuggestion].href;
+    } else if (e.key === 'Escape') {
+      hideSuggestions();
+    }
+  });
+  
+  input.addEventListener('blur', () => {
+    // Leave time for a click on a suggestion to register
+    setTimeout(hideSuggestions, 150);
+  });
+}
+
+// Fetch and show title suggestions
+async function loadSuggestions(query) {
+  if (query.length < 2) {
+    hideSuggestions();
+    return;
+  }
+  
+  try {
+    const response = await fetch(`${API_BASE}/search/suggest?${new URLSearchParams({ q: query })}`);
+    const data = await response.json();
+    
+    // Ignore responses for text the user has since changed
+    if (document.getElementById('searchInput').value.trim() !== query) return;
+    
+    displaySuggestions(data.suggestions);
+  } catch (error) {
+    console.error('Error loading suggestions:', error);
+  }
+}
+
+// Render the suggestion dropdown
+function displaySuggestions(suggestions) {
+  const menu = document.getElementById('searchSuggestions');
+  
+  if (suggestions.length === 0) {
+    hideSuggestions();
+    return;
+  }
+  
+  menu.innerHTML = suggestions.map(s => `
+    <a class="dropdown-item" href="/movie.html?id=${s.movieId}" role="option">
+      ${escapeHtml(s.title)}
+      ${s.match === 'fuzzy' ? '<small class="text-muted ms-1">(did you mean?)</small>' : ''}
+    </a>
+  `).join('');
+  
+  activeSuggestion = -1;
+  menu.classList.add('show');
+  document.getElementById('searchInput').setAttribute('aria-expanded', 'true');
+}
+
+// Highlight one suggestion for keyboard navigation
+function setActiveSuggestion(index) {
+  const items = document.querySelectorAll('#searchSuggestions .dropdown-item');
+  items.forEach((item, i) => item.classList.toggle('active', i === index));
+  activeSuggestion = index;
+}
+
+// Close the suggestion dropdown
+function hideSuggestions() {
+  clearTimeout(suggestTimer);
+  activeSuggestion = -1;
+  document.getElementById('searchSuggestions').classList.remove('show');
+  document.getElementById('searchInput').setAttribute('aria-expanded', 'false');
+}
+
+// Set the sort order in both state and the dropdown
+function setSort(sort, order) {
+  currentFilters.sort = sort;
+  currentFilters.order = order;
+  document.getElementById('sortFilter').value = `${sort}:${order}`;
+}
+
 // Update filters from UI
 function updateFiltersFromUI() {
   currentFilters.search = document.getElementById('searchInput').value;
-  currentFilters.genre = document.getElementById('genreFilter').value;
+  currentFilters.genres = selectedValues('genreFilter');
+  currentFilters.genreMode = document.querySelector('input[name="genreMode"]:checked').value;
+  currentFilters.excludeGenres = selectedValues('excludeGenresFilter');
+  currentFilters.yearFrom = document.getElementById('yearFromFilter').value;
+  currentFilters.yearTo = document.getElementById('yearToFilter').value;
   currentFilters.minRating = document.getElementById('minRatingFilter').value;
+  currentFilters.maxRating = document.getElementById('maxRatingFilter').value;
+  currentFilters.minRatingCount = document.getElementById('minRatingCountFilter').value;
   
   const sortValue = document.getElementById('sortFilter').value.split(':');
   currentFilters.sort = sortValue[0];
@@ -88,32 +225,54 @@ function updateFiltersFromUI() {
 // Reset filters
 function resetFilters() {
   document.getElementById('searchInput').value = '';
-  document.getElementById('genreFilter').value = '';
-  document.getElementById('minRatingFilter').value = '';
-  document.getElementById('sortFilter').value = 'averageRating:desc';
+  document.querySelectorAll('#genreFilter option, #excludeGenresFilter option')
+    .forEach(option => { option.selected = false; });
+  document.getElementById('genreModeAll').checked = true;
+  ['yearFromFilter', 'yearToFilter', 'minRatingFilter', 'maxRatingFilter', 'minRatingCountFilter']
+    .forEach(id => { document.getElementById(id).value = ''; });
+  document.getElementById('sortFilter').value = 'weightedRating:desc';
   
   currentFilters = {
     search: '',
-    genre: '',
+    genres: [],
+    genreMode: 'all',
+    excludeGenres: [],
+    yearFrom: '',
+    yearTo: '',
     minRating: '',
-    sort: 'averageRating',
+    maxRating: '',
+    minRatingCount: '',
+    sort: 'weightedRating',
     order: 'desc'
   };
 }
 
+// Values of the selected options in a multi-select
+function selectedValues(id) {
+  return Array.from(document.getElementById(id).selectedOptions).map(option => option.value);
+}
+
 // Load genres for filter dropdown
 async function loadGenres() {
   try {
     const response = await fetch(`${API_BASE}/genres`);
     const data = await response.json();
     
-    const genreFilter = document.getElementById('genreFilter');
-    data.genres.forEach(genre => {
-      const option = document.createElement('option');
-      option.value = genre;
-      option.textContent = genre;
-      genreFilter.appendChild(option);
+    ['genreFilter', 'excludeGenresFilter'].forEach(id => {
+      const select = document.getElementById(id);
+      data.genres.forEach(genre => {
+        const option = document.createElement('option');
+        option.value = genre;
+        option.textContent = genre;
+        option.dataset.label = genre;
+        select.appendChild(option);
+      });
     });
+    
+    // Movies may have loaded first
+    if (latestFacets) {
+      displayFacetCounts(latestFacets);
+    }
   } catch (error) {
     console.error('Error loading genres:', error);
   }
@@ -134,48 +293,131 @@ async function loadStats() {
   }
 }
 
+// Load the trending strip for a time window
+async function loadTrending(period) {
+  try {
+    const response = await fetch(`${API_BASE}/movies/trending?${new URLSearchParams({ window: period })}`);
+    if (!response.ok) {
+      throw new Error('Failed to load trending movies');
+    }
+    
+    const data = await response.json();
+    displayTrending(data);
+  } catch (error) {
+    console.error('Error loading trending movies:', error);
+  }
+}
+
+// Render trending movies as a horizontal strip of small cards
+function displayTrending(data) {
+  const section = document.getElementById('trendingSection');
+  const strip = document.getElementById('trendingMovies');
+  
+  // Keep the section (and its window buttons) once shown; hide it only if there was never data
+  if (data.movies.length === 0) {
+    strip.innerHTML = '<p class="text-muted mb-0">No ratings in this period.</p>';
+    document.getElementById('trendingWindow').textContent = '';
+    return;
+  }
+  section.style.display = 'block';
+  
+  strip.innerHTML = data.movies.map(movie => `
+    <a href="/movie.html?id=${movie.movieId}" class="card movie-card text-decoration-none text-reset">
+      <div class="card-body p-2">
+        <h6 class="card-title mb-1">${escapeHtml(movie.title)}</h6>
+        <small class="text-muted d-block">${movie.trending.ratings} rating${movie.trending.ratings !== 1 ? 's' : ''} this period</small>
+        <small><i class="bi bi-star-fill text-warning"></i> ${movie.trending.averageRating.toFixed(1)}</small>
+      </div>
+    </a>
+  `).join('');
+  
+  const start = new Date(data.windowStart).toLocaleDateString();
+  const end = new Date(data.windowEnd).toLocaleDateString();
+  document.getElementById('trendingWindow').textContent = `Ratings from ${start} to ${end}`;
+}
+
 // Load movies
 async function loadMovies() {
   showLoading(true);
   hideError();
   
   try {
+    // Filters or sort changed: start over from the first page
+    if (currentPage === 0) {
+      pageCursors = [null];
+    }
+    
     // Build query parameters
     const params = new URLSearchParams({
       limit: itemsPerPage,
-      offset: currentPage * itemsPerPage,
       sort: currentFilters.sort,
       order: currentFilters.order
     });
     
+    if (pageCursors[currentPage]) {
+      params.append('cursor', pageCursors[currentPage]);
+    } else {
+      // Counts only change with the filters, so fetch them with the first page
+      params.append('facets', 'genres,ratingBucket');
+    }
+    
     if (currentFilters.search) {
       params.append('search', currentFilters.search);
     }
     
-    if (currentFilters.genre) {
-      params.append('genre', currentFilters.genre);
+    currentFilters.genres.forEach(genre => params.append('genres', genre));
+    if (currentFilters.genres.length > 1) {
+      params.append('mode', currentFilters.genreMode);
     }
+    currentFilters.excludeGenres.forEach(genre => params.append('excludeGenres', genre));
     
-    if (currentFilters.minRating) {
-      params.append('minRating', currentFilters.minRating);
-    }
+    ['yearFrom', 'yearTo', 'minRating', 'maxRating', 'minRatingCount'].forEach(name => {
+      if (currentFilters[name]) {
+        params.append(name, currentFilters[name]);
+      }
+    });
     
     const response = await fetch(`${API_BASE}/movies?${params}`);
     if (!response.ok) {
-      throw new Error('Failed to load movies');
+      throw await apiError(response, 'Failed to load movies');
     }
     
     const data = await response.json();
     displayMovies(data.movies);
     updatePagination(data.pagination);
+    if (data.facets) {
+      latestFacets = data.facets;
+      displayFacetCounts(latestFacets);
+    }
   } catch (error) {
-    showError('Failed to load movies. Please try again.');
+    showError(error, 'Failed to load movies. Please try again.');
     console.error('Error loading movies:', error);
   } finally {
     showLoading(false);
   }
 }
 
+// Show how many movies each genre and minimum rating option would return
+function displayFacetCounts(facets) {
+  const genreCounts = new Map(facets.genres.map(f => [f.value, f.count]));
+  document.querySelectorAll('#genreFilter option').forEach(option => {
+    const count = genreCounts.get(option.value) || 0;
+    option.textContent = `${option.dataset.label} (${count.toLocaleString()})`;
+    // Choosing an empty genre would only lead to "No movies found"
+    option.disabled = count === 0 && !option.selected;
+  });
+  
+  document.querySelectorAll('#minRatingFilter option').forEach(option => {
+    option.dataset.label = option.dataset.label || option.textContent;
+    if (!option.value) return;
+    const threshold = parseFloat(option.value);
+    const count = facets.ratingBucket
+      .filter(f => f.value >= threshold)
+      .reduce((sum, f) => sum + f.count, 0);
+    option.textContent = `${option.dataset.label} (${count.toLocaleString()})`;
+  });
+}
+
 // Display movies in grid
 function displayMovies(movies) {
   const grid = document.getElementById('moviesGrid');
@@ -201,13 +443,21 @@ function createMovieCard(movie) {
   const ratingClass = movie.averageRating >= 4 ? 'text-success' : 
                       movie.averageRating >= 3 ? 'text-warning' : 'text-danger';
   
+  // Search results carry server-escaped HTML with matches wrapped in <mark>
+  const highlights = movie.highlights || {};
+  
   col.innerHTML = `
     <div class="card h-100 movie-card" style="cursor: pointer;" onclick="window.location.href='/movie.html?id=${movie.movieId}'">
       <div class="card-body">
-        <h5 class="card-title">${escapeHtml(movie.title)}</h5>
+        <h5 class="card-title">${highlights.title || escapeHtml(movie.title)}</h5>
         <p class="card-text">
           <span class="badge bg-secondary">${movie.year || 'Unknown'}</span>
         </p>
+        ${highlights.summary ? `<p class="card-text small text-muted search-snippet">${highlights.summary}</p>` : ''}
+        ${highlights.tags && highlights.tags.length > 0 ? `
+          <p class="card-text small">
+            <i class="bi bi-tags"></i> ${highlights.tags.map(t => `<span class="badge bg-info text-dark me-1">${t}</span>`).join('')}
+          </p>` : ''}
         <div class="mb-2">
           ${movie.genres.slice(0, 3).map(g => `<span class="badge bg-primary me-1">${g}</span>`).join('')}
         </div>
@@ -241,6 +491,8 @@ function updatePagination(pagination) {
     prevButton.classList.remove('disabled');
   }
   
+  nextCursor = pagination.nextCursor;
+  
   // Enable/disable next button
   if (!pagination.hasMore) {
     nextButton.classList.add('disabled');
@@ -255,11 +507,11 @@ function showLoading(show) {
   document.getElementById('moviesGrid').style.display = show ? 'none' : 'flex';
 }
 
-// Show error message
-function showError(message) {
+// Show error message for a failed API call (see errors.js)
+function showError(error, fallbackMessage) {
   const errorDiv = document.getElementById('errorMessage');
   const errorText = document.getElementById('errorText');
-  errorText.textContent = message;
+  errorText.textContent = describeApiError(error, fallbackMessage);
   errorDiv.style.display = 'block';
 }
 
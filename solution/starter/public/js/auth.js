@@ -0,0 +1,69 @@
+// Signed-in state shared by every page: fills the navbar's #accountNav with
+// the user's email and a log out button, or a log in link.
+// Load after errors.js and before the page script.
+
+const AUTH_API = '/api/auth';
+
+// The signed-in user ({ userId, email }), or null
+let currentUser = null;
+
+// Resolves with currentUser once the session has been checked
+const authReady = loadCurrentUser();
+
+document.addEventListener('DOMContentLoaded', async () => {
+  await authReady;
+  renderAccountNav();
+});
+
+// Ask the server who is signed in
+async function loadCurrentUser() {
+  try {
+    const response = await fetch(`${AUTH_API}/me`);
+    currentUser = response.ok ? (await response.json()).user : null;
+  } catch (error) {
+    currentUser = null;
+    console.error('Error checking session:', error);
+  }
+  return currentUser;
+}
+
+// Link to the login page that comes back here afterwards
+function loginUrl() {
+  const next = window.location.pathname + window.location.search;
+  return `/login.html?next=${encodeURIComponent(next)}`;
+}
+
+// Show the signed-in user, or a log in link
+function renderAccountNav() {
+  const nav = document.getElementById('accountNav');
+  if (!nav) return;
+
+  if (!currentUser) {
+    nav.innerHTML = `
+      <a href="${loginUrl()}" class="btn btn-light btn-sm">
+        <i class="bi bi-box-arrow-in-right"></i> Log In
+      </a>
+    `;
+    return;
+  }
+
+  nav.innerHTML = `
+    <a href="/user.html?id=${currentUser.userId}" class="navbar-text text-white me-2 text-decoration-none">
+      <i class="bi bi-person-circle"></i> <span id="accountEmail"></span>
+    </a>
+    <button type="button" class="btn btn-outline-light btn-sm" id="logoutButton">
+      <i class="bi bi-box-arrow-right"></i> Log Out
+    </button>
+  `;
+  document.getElementById('accountEmail').textContent = currentUser.email;
+  document.getElementById('logoutButton').addEventListener('click', logout);
+}
+
+// End the session and reload the page signed out
+async function logout() {
+  try {
+    await fetch(`${AUTH_API}/logout`, { method: 'POST' });
+  } finally {
+    window.location.reload();
+  }
+}
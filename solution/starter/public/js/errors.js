@@ -0,0 +1,74 @@
+// Turns API error responses (RFC 7807 problem+json, see server/errors.js)
+// into messages for people. Load before the page script.
+
+// Messages for codes where the server's own detail isn't the best thing to show
+const ERROR_MESSAGES = {
+  DATABASE_UNAVAILABLE: 'The movie database is temporarily unavailable. Please try again in a moment.',
+  RATE_LIMITED: 'You are doing that too often. Please wait a moment and try again.',
+  AUTH_REQUIRED: 'Your session has expired. Please log in again.',
+  MOVIE_NOT_FOUND: 'We couldn\'t find that movie. It may have been removed.',
+  USER_NOT_FOUND: 'We couldn\'t find that user.',
+  RATING_NOT_FOUND: 'There is no rating from that user to remove.',
+  TAG_NOT_FOUND: 'That user hasn\'t applied this tag to the movie.',
+  TAG_ALREADY_APPLIED: 'You have already applied this tag to this movie.',
+  ROUTE_NOT_FOUND: 'That page of the API doesn\'t exist.',
+  INTERNAL_ERROR: 'Something went wrong on our side. Please try again.'
+};
+
+// Codes whose detail explains what to fix in the request
+const DETAIL_CODES = new Set([
+  'VALIDATION_FAILED', 'INVALID_CURSOR', 'INVALID_TAG', 'MALFORMED_JSON', 'INVALID_CREDENTIALS', 'EMAIL_TAKEN'
+]);
+
+// An API request that failed; code and requestId come from the problem details
+class ApiRequestError extends Error {
+  constructor(message, { status, code, requestId, errors } = {}) {
+    super(message);
+    this.name = 'ApiRequestError';
+    this.status = status;
+    this.code = code;
+    this.requestId = requestId;
+    this.errors = errors;
+  }
+}
+
+// Build an ApiRequestError from a failed fetch response
+async function apiError(response, fallbackMessage) {
+  let problem = {};
+  try {
+    problem = await response.json();
+  } catch (error) {
+    // Not JSON, e.g. a proxy error page
+  }
+
+  return new ApiRequestError(problem.detail || fallbackMessage, {
+    status: response.status,
+    code: problem.code || (response.status >= 500 ? 'INTERNAL_ERROR' : undefined),
+    requestId: problem.requestId || response.headers.get('X-Request-Id'),
+    errors: problem.errors
+  });
+}
+
+// The message to show for an error thrown while calling the API
+function describeApiError(error, fallbackMessage) {
+  // fetch() rejects with a TypeError when the server can't be reached at all
+  if (error instanceof TypeError) {
+    return 'Could not reach the server. Check your connection and try again.';
+  }
+  if (!(error instanceof ApiRequestError)) {
+    return fallbackMessage;
+  }
+
+  let message;
+  if (DETAIL_CODES.has(error.code)) {
+    message = error.message;
+  } else {
+    message = ERROR_MESSAGES[error.code] || fallbackMessage;
+  }
+
+  // Give a reference that can be matched to the server log
+  if (error.status >= 500 && error.requestId) {
+    message += ` (reference: ${error.requestId})`;
+  }
+  return message;
+}
@@ -0,0 +1,70 @@
+// Log in and account registration
+
+// Where to go after logging in; only pages on this site are followed
+const nextUrl = (() => {
+  const next = new URLSearchParams(window.location.search).get('next');
+  if (!next) return '/';
+
+  // Resolve it the way the browser would, so "//host" and "/\host" count as other sites
+  const url = new URL(next, window.location.origin);
+  return url.origin === window.location.origin ? url.pathname + url.search + url.hash : '/';
+})();
+
+// Initialize page
+document.addEventListener('DOMContentLoaded', async () => {
+  document.getElementById('loginForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    submitCredentials('login', 'loginEmail', 'loginPassword');
+  });
+
+  document.getElementById('registerForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    if (document.getElementById('registerPassword').value !== document.getElementById('registerConfirm').value) {
+      showFormError('register', 'The passwords don\'t match');
+      return;
+    }
+    submitCredentials('register', 'registerEmail', 'registerPassword');
+  });
+
+  // Already signed in: nothing to do here
+  if (await authReady) {
+    window.location.replace(nextUrl);
+  }
+});
+
+// Log in or register, then return to the page that sent the user here
+async function submitCredentials(action, emailField, passwordField) {
+  hideFormError(action);
+
+  try {
+    const response = await fetch(`${AUTH_API}/${action}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        email: document.getElementById(emailField).value.trim(),
+        password: document.getElementById(passwordField).value
+      })
+    });
+
+    if (!response.ok) {
+      throw await apiError(response, action === 'login' ? 'Failed to log in' : 'Failed to create account');
+    }
+
+    window.location.href = nextUrl;
+  } catch (error) {
+    showFormError(action, describeApiError(error, 'Something went wrong. Please try again.'));
+    console.error(`Error during ${action}:`, error);
+  }
+}
+
+function showFormError(action, message) {
+  const errorDiv = document.getElementById(`${action}Error`);
+  errorDiv.textContent = message;
+  errorDiv.style.display = 'block';
+}
+
+function hideFormError(action) {
+  document.getElementById(`${action}Error`).style.display = 'none';
+}
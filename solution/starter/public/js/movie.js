@@ -5,30 +5,49 @@ const API_BASE = '/api';
 const urlParams = new URLSearchParams(window.location.search);
 const movieId = urlParams.get('id');
 
+// Chart instances, replaced when the details reload after a rating
+let distributionChart = null;
+let timelineChart = null;
+
 // Initialize page
 document.addEventListener('DOMContentLoaded', () => {
   if (!movieId) {
-    showError('No movie ID provided');
+    showError(null, 'No movie ID provided');
     return;
   }
   
   loadMovieDetails();
+  loadSimilarMovies();
   setupRatingForm();
+  setupTagForm();
+  showWriteForms();
 });
 
+// Rating and tagging need an account: show the forms, or a link to log in
+async function showWriteForms() {
+  const signedIn = Boolean(await authReady);
+  
+  document.getElementById('ratingForm').style.display = signedIn ? 'block' : 'none';
+  document.getElementById('tagForm').style.display = signedIn ? 'flex' : 'none';
+  document.querySelectorAll('.login-prompt').forEach(prompt => {
+    prompt.style.display = signedIn ? 'none' : 'block';
+    prompt.querySelector('a').href = loginUrl();
+  });
+}
+
 // Load movie details
 async function loadMovieDetails() {
   try {
     const response = await fetch(`${API_BASE}/movies/${movieId}`);
     
     if (!response.ok) {
-      throw new Error('Movie not found');
+      throw await apiError(response, 'Movie not found');
     }
     
     const data = await response.json();
     displayMovieDetails(data);
   } catch (error) {
-    showError('Failed to load movie details. Please try again.');
+    showError(error, 'Failed to load movie details. Please try again.');
     console.error('Error loading movie:', error);
   } finally {
     document.getElementById('loading').style.display = 'none';
@@ -37,7 +56,7 @@ async function loadMovieDetails() {
 
 // Display movie details
 function displayMovieDetails(data) {
-  const { movie, recentRatings, tags, links } = data;
+  const { movie, recentRatings, ratingDistribution, ratingTimeline, tags, links } = data;
   
   // Movie header
   document.getElementById('movieTitle').textContent = movie.title;
@@ -82,20 +101,131 @@ function displayMovieDetails(data) {
   }
   
   // Tags
-  if (tags && tags.length > 0) {
-    const tagsSection = document.getElementById('tagsSection');
-    const tagsDiv = document.getElementById('movieTags');
-    tagsSection.style.display = 'block';
+  const tagsDiv = document.getElementById('movieTags');
+  if (!tags || tags.length === 0) {
+    tagsDiv.innerHTML = '<p class="text-muted mb-0">No tags yet. Be the first to add one!</p>';
+  } else {
     tagsDiv.innerHTML = tags
-      .map(tag => `<span class="badge bg-info text-dark me-1 mb-1">${escapeHtml(tag)}</span>`)
+      .map(tag => `<a href="/tag.html?tag=${encodeURIComponent(tag)}" class="badge bg-info text-dark text-decoration-none me-1 mb-1">${escapeHtml(tag)}</a>`)
       .join('');
   }
   
   // Recent ratings
   displayRecentRatings(recentRatings);
   
-  // Show movie details
+  // Show movie details before drawing charts so they can size to their containers
   document.getElementById('movieDetails').style.display = 'block';
+  displayRatingCharts(ratingDistribution, ratingTimeline);
+}
+
+// Draw the half-star histogram and the monthly ratings timeline
+function displayRatingCharts(distribution, timeline) {
+  const section = document.getElementById('ratingChartsSection');
+  
+  if (typeof Chart === 'undefined' || !timeline || timeline.length === 0) {
+    section.style.display = 'none';
+    return;
+  }
+  section.style.display = 'flex';
+  
+  if (distributionChart) distributionChart.destroy();
+  if (timelineChart) timelineChart.destroy();
+  
+  distributionChart = new Chart(document.getElementById('ratingDistributionChart'), {
+    type: 'bar',
+    data: {
+      labels: distribution.map(d => d.rating.toFixed(1)),
+      datasets: [{
+        label: 'Ratings',
+        data: distribution.map(d => d.count),
+        backgroundColor: distribution.map(d =>
+          d.rating >= 4 ? '#198754' : d.rating >= 3 ? '#ffc107' : '#dc3545')
+      }]
+    },
+    options: {
+      plugins: { legend: { display: false } },
+      scales: {
+        x: { title: { display: true, text: 'Stars' } },
+        y: { beginAtZero: true, ticks: { precision: 0 } }
+      }
+    }
+  });
+  
+  timelineChart = new Chart(document.getElementById('ratingTimelineChart'), {
+    data: {
+      labels: timeline.map(t => t.month),
+      datasets: [
+        {
+          type: 'bar',
+          label: 'Ratings',
+          data: timeline.map(t => t.count),
+          backgroundColor: 'rgba(13, 110, 253, 0.5)',
+          yAxisID: 'count'
+        },
+        {
+          type: 'line',
+          label: 'Mean rating',
+          data: timeline.map(t => t.averageRating),
+          borderColor: '#fd7e14',
+          backgroundColor: '#fd7e14',
+          spanGaps: true,
+          pointRadius: 2,
+          yAxisID: 'mean'
+        }
+      ]
+    },
+    options: {
+      scales: {
+        count: { position: 'left', beginAtZero: true, ticks: { precision: 0 } },
+        mean: { position: 'right', min: 0, max: 5, grid: { drawOnChartArea: false } }
+      }
+    }
+  });
+}
+
+// Load "more like this" movies
+async function loadSimilarMovies() {
+  try {
+    const response = await fetch(`${API_BASE}/movies/${movieId}/similar`);
+    
+    if (!response.ok) {
+      throw new Error('Failed to load similar movies');
+    }
+    
+    const data = await response.json();
+    displaySimilarMovies(data.similar);
+  } catch (error) {
+    console.error('Error loading similar movies:', error);
+  }
+}
+
+// Display similar movies as small cards
+function displaySimilarMovies(movies) {
+  if (!movies || movies.length === 0) {
+    return;
+  }
+  
+  document.getElementById('similarMovies').innerHTML = movies.map(movie => {
+    const rating = movie.averageRating > 0 ? movie.averageRating.toFixed(1) : 'N/A';
+    
+    return `
+      <div class="col">
+        <a href="/movie.html?id=${movie.movieId}" class="card h-100 movie-card text-decoration-none text-reset">
+          <div class="card-body">
+            <h6 class="card-title">${escapeHtml(movie.title)}</h6>
+            <div class="d-flex justify-content-between align-items-center">
+              <small><i class="bi bi-star-fill text-warning"></i> ${rating}</small>
+              <small class="text-muted" title="Similarity based on ${movie.coRaters} shared raters">
+                ${Math.round(movie.similarity * 100)}% match
+              </small>
+            </div>
+          </div>
+        </a>
+      </div>
+    `;
+  }).join('');
+  
+  document.getElementById('similarSection').style.display = 'block';
 }
 
 // Display recent ratings
@@ -114,7 +244,7 @@ function displayRecentRatings(ratings) {
     
     return `
       <tr>
-        <td>User ${rating.userId}</td>
+        <td><a href="/user.html?id=${rating.userId}">User ${rating.userId}</a></td>
         <td>
           <i class="bi bi-star-fill ${ratingClass}"></i>
           <strong class="${ratingClass}">${rating.rating.toFixed(1)}</strong>
@@ -132,61 +262,153 @@ function setupRatingForm() {
   form.addEventListener('submit', async (e) => {
     e.preventDefault();
     
-    const userId = parseInt(document.getElementById('userId').value);
     const rating = parseFloat(document.getElementById('rating').value);
     
-    if (!userId || !rating) {
-      alert('Please fill in all fields');
+    if (!rating) {
+      showRatingError('Please select a rating');
       return;
     }
     
+    hideRatingError();
     try {
       const response = await fetch(`${API_BASE}/movies/${movieId}/rate`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({ userId, rating })
+        body: JSON.stringify({ rating })
       });
       
       if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.error || 'Failed to submit rating');
+        throw await apiError(response, 'Failed to submit rating');
       }
       
       const result = await response.json();
+      const message = result.previousRating !== null
+        ? `Rating updated from ${result.previousRating.toFixed(1)} to ${result.rating.rating.toFixed(1)}.`
+        : 'Rating submitted successfully!';
+      showRatingResult(message, result.updatedMovie);
+    } catch (error) {
+      showRatingError(describeApiError(error, 'Failed to submit rating. Please try again.'));
+      console.error('Error submitting rating:', error);
+    }
+  });
+  
+  document.getElementById('removeRatingButton').addEventListener('click', async () => {
+    hideRatingError();
+    try {
+      const response = await fetch(`${API_BASE}/movies/${movieId}/ratings/${currentUser.userId}`, {
+        method: 'DELETE'
+      });
       
-      // Show success message
-      const successDiv = document.getElementById('ratingSuccess');
-      successDiv.style.display = 'block';
-      
-      // Update movie rating display
-      document.getElementById('movieRating').textContent = 
-        result.updatedMovie.averageRating.toFixed(2);
-      document.getElementById('ratingCount').textContent = 
-        `${result.updatedMovie.ratingCount.toLocaleString()} rating${result.updatedMovie.ratingCount !== 1 ? 's' : ''}`;
-      
-      // Reset form
-      form.reset();
-      
-      // Reload movie details to show new rating
-      setTimeout(() => {
-        successDiv.style.display = 'none';
-        loadMovieDetails();
-      }, 2000);
+      if (!response.ok) {
+        throw await apiError(response, 'Failed to remove rating');
+      }
       
+      const result = await response.json();
+      showRatingResult('Rating removed.', result.updatedMovie);
     } catch (error) {
-      alert(`Error: ${error.message}`);
-      console.error('Error submitting rating:', error);
+      showRatingError(describeApiError(error, 'Failed to remove rating. Please try again.'));
+      console.error('Error removing rating:', error);
+    }
+  });
+}
+
+// Show why a rating change failed under the rating form
+function showRatingError(message) {
+  document.getElementById('ratingErrorText').textContent = message;
+  document.getElementById('ratingError').style.display = 'block';
+}
+
+function hideRatingError() {
+  document.getElementById('ratingError').style.display = 'none';
+}
+
+// Show the outcome of a rating change and refresh the movie's rating display
+function showRatingResult(message, updatedMovie) {
+  const successDiv = document.getElementById('ratingSuccess');
+  document.getElementById('ratingSuccessText').textContent = message;
+  successDiv.style.display = 'block';
+  
+  // Update movie rating display
+  document.getElementById('movieRating').textContent = 
+    updatedMovie.averageRating > 0 ? updatedMovie.averageRating.toFixed(2) : 'N/A';
+  document.getElementById('ratingCount').textContent = 
+    `${updatedMovie.ratingCount.toLocaleString()} rating${updatedMovie.ratingCount !== 1 ? 's' : ''}`;
+  
+  // Reset form
+  document.getElementById('ratingForm').reset();
+  
+  // Reload movie details to show the change
+  setTimeout(() => {
+    successDiv.style.display = 'none';
+    loadMovieDetails();
+  }, 2000);
+}
+
+// Setup tag add/remove form
+function setupTagForm() {
+  const form = document.getElementById('tagForm');
+  
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    submitTag('POST');
+  });
+  
+  document.getElementById('removeTagButton').addEventListener('click', () => {
+    if (form.reportValidity()) {
+      submitTag('DELETE');
     }
   });
 }
 
-// Show error message
-function showError(message) {
+// Add (POST) or remove (DELETE) the tag entered in the form
+async function submitTag(method) {
+  const tag = document.getElementById('tagInput').value.trim();
+  
+  const url = method === 'POST'
+    ? `${API_BASE}/movies/${movieId}/tags`
+    : `${API_BASE}/movies/${movieId}/tags/${encodeURIComponent(tag)}`;
+  
+  try {
+    const options = { method };
+    if (method === 'POST') {
+      options.headers = { 'Content-Type': 'application/json' };
+      options.body = JSON.stringify({ tag });
+    }
+    
+    const response = await fetch(url, options);
+    
+    if (!response.ok) {
+      throw await apiError(response, 'Failed to update tag');
+    }
+    
+    showTagFeedback(method === 'POST' ? `Added "${tag}"` : `Removed "${tag}"`, 'success');
+    document.getElementById('tagInput').value = '';
+    loadMovieDetails();
+  } catch (error) {
+    showTagFeedback(describeApiError(error, 'Failed to update tag. Please try again.'), 'danger');
+    console.error('Error updating tag:', error);
+  }
+}
+
+// Show a short-lived message under the tag form
+function showTagFeedback(message, type) {
+  const feedback = document.getElementById('tagFeedback');
+  feedback.className = `alert alert-${type} mt-3`;
+  feedback.textContent = message;
+  feedback.style.display = 'block';
+  
+  setTimeout(() => {
+    feedback.style.display = 'none';
+  }, 3000);
+}
+
+// Show error message for a failed API call (see errors.js), or fallbackMessage
+function showError(error, fallbackMessage) {
   const errorDiv = document.getElementById('errorMessage');
   const errorText = document.getElementById('errorText');
-  errorText.textContent = message;
+  errorText.textContent = describeApiError(error, fallbackMessage);
   errorDiv.style.display = 'block';
   document.getElementById('loading').style.display = 'none';
 }
@@ -11,31 +11,151 @@ import {
   persistentLocalCache,
   disableNetwork,
   enableNetwork, 
-  addDoc
+  doc,
+  setDoc
 } from 'firebase/firestore';
+import {
+  getAuth,
+  connectAuthEmulator,
+  onAuthStateChanged,
+  signInAnonymously,
+  sendSignInLinkToEmail,
+  isSignInWithEmailLink,
+  signInWithEmailLink,
+  signOut
+} from 'firebase/auth';
 
 let db = null;
+let auth = null;
 let unsubscribeFunctions = [];
 let isOfflineMode = false;
 
+// The CymbalFlix account for the signed-in Firebase user ({ uid, userId, email }).
+// Guests have userId null until their first rating claims an account.
+let currentAccount = null;
+
+// Remembers the address an email sign-in link was sent to, for when it's opened
+const EMAIL_FOR_SIGN_IN_KEY = 'cymbalflix.emailForSignIn';
+
 /**
- * Initialize Firebase with Firestore Enterprise database
+ * Initialize Firebase with Firestore Enterprise database and Firebase Auth.
+ * config is the response from /api/firebase-config.
  */
-export async function initializeFirebase(projectId, databaseId) {
+export async function initializeFirebase(config) {
   console.log('🔥 Connecting to Firestore Enterprise...');
   
-  const app = initializeApp({ projectId });
+  const app = initializeApp({
+    projectId: config.projectId,
+    apiKey: config.apiKey,
+    authDomain: config.authDomain
+  });
   
   // Connect to the named Enterprise database with offline persistence
   db = initializeFirestore(app, {
     localCache: persistentLocalCache({})
-  }, databaseId);
+  }, config.databaseId);
   
-  console.log('✅ Connected to database:', databaseId);
+  auth = getAuth(app);
+  if (config.authEmulatorHost) {
+    connectAuthEmulator(auth, `http://${config.authEmulatorHost}`, { disableWarnings: true });
+    console.log('🧪 Using Auth emulator at', config.authEmulatorHost);
+  }
+  
+  console.log('✅ Connected to database:', config.databaseId);
   console.log('✅ Offline persistence enabled');
   return db;
 }
 
+/**
+ * Call onChange with the signed-in account (or null) now and whenever it changes
+ */
+export function onAccountChanged(onChange) {
+  if (!auth) throw new Error('Firebase not initialized');
+  
+  return onAuthStateChanged(auth, async (user) => {
+    currentAccount = user ? await loadAccount(user) : null;
+    onChange(currentAccount);
+  });
+}
+
+/**
+ * Look up the CymbalFlix userId for a Firebase user. The API verifies the ID
+ * token, so the REST and realtime paths agree on who the user is. With claim
+ * set, the API creates the account if the user has none yet.
+ */
+async function loadAccount(user, { claim = false } = {}) {
+  const response = await fetch(claim ? '/api/auth/firebase' : '/api/auth/me', {
+    method: claim ? 'POST' : 'GET',
+    headers: { Authorization: `Bearer ${await user.getIdToken()}` }
+  });
+  
+  // Guests are only given an account when they first rate something
+  if (response.status === 401 && user.isAnonymous && !claim) {
+    return { uid: user.uid, userId: null, email: null, isAnonymous: true };
+  }
+  
+  if (!response.ok) {
+    throw new Error(`Could not load account (HTTP ${response.status})`);
+  }
+  
+  const { user: account } = await response.json();
+  
+  // The API stamps the userId on the Firebase user; the security rules only
+  // see it in a fresh ID token
+  const { claims } = await user.getIdTokenResult();
+  if (claims.userId !== account.userId) {
+    await user.getIdToken(true);
+  }
+  
+  return { uid: user.uid, userId: account.userId, email: account.email, isAnonymous: user.isAnonymous };
+}
+
+/**
+ * Sign in without an account
+ */
+export async function signInAsGuest() {
+  if (!auth) throw new Error('Firebase not initialized');
+  await signInAnonymously(auth);
+}
+
+/**
+ * Email a sign-in link that brings the user back to this page
+ */
+export async function sendEmailSignInLink(email) {
+  if (!auth) throw new Error('Firebase not initialized');
+  
+  await sendSignInLinkToEmail(auth, email, {
+    url: window.location.origin + window.location.pathname,
+    handleCodeInApp: true
+  });
+  window.localStorage.setItem(EMAIL_FOR_SIGN_IN_KEY, email);
+}
+
+/**
+ * Finish signing in if this page was opened from a sign-in link.
+ * Returns true if it was. promptForEmail is asked for the address when the
+ * link is opened on a different device than it was requested from.
+ */
+export async function completeEmailSignIn(promptForEmail) {
+  if (!auth) throw new Error('Firebase not initialized');
+  if (!isSignInWithEmailLink(auth, window.location.href)) return false;
+  
+  const email = window.localStorage.getItem(EMAIL_FOR_SIGN_IN_KEY) || promptForEmail();
+  if (!email) return false;
+  
+  await signInWithEmailLink(auth, email, window.location.href);
+  window.localStorage.removeItem(EMAIL_FOR_SIGN_IN_KEY);
+  
+  // Drop the one-time code from the address bar
+  window.history.replaceState(null, '', window.location.pathname);
+  return true;
+}
+
+export async function signOutUser() {
+  if (!auth) throw new Error('Firebase not initialized');
+  await signOut(auth);
+}
+
 
 /**
  * CymbalFlix Real-time Features
@@ -89,22 +209,31 @@ export function subscribeToStats(onStatsUpdate) {
 }
 
 /**
- * Submit a rating using Firestore Native API
- * This write will be queued when offline and synced when back online
+ * Submit a rating as the signed-in user using Firestore Native API.
+ * The document carries the Firebase uid so security rules can check the writer,
+ * and its ID is "<userId>_<movieId>" so the rules can refuse a second rating
+ * of the same movie. This write will be queued when offline and synced when
+ * back online
  */
-export async function submitRating(movieId, userId, rating) {
+export async function submitRating(movieId, rating) {
   if (!db) throw new Error('Firebase not initialized');
+  if (!currentAccount) throw new Error('Sign in to rate movies');
+  
+  if (currentAccount.userId === null) {
+    currentAccount = await loadAccount(auth.currentUser, { claim: true });
+  }
   
-  const ratingsCollection = collection(db, 'ratings');
+  const ratingRef = doc(db, 'ratings', `${currentAccount.userId}_${parseInt(movieId)}`);
   
-  await addDoc(ratingsCollection, {
+  await setDoc(ratingRef, {
     movieId: parseInt(movieId),
-    userId: parseInt(userId),
+    userId: currentAccount.userId,
+    uid: currentAccount.uid,
     rating: parseFloat(rating),
     timestamp: Math.floor(Date.now() / 1000)
   });
   
-  console.log(`✅ Rating submitted: User ${userId} rated movie ${movieId} with ${rating} stars`);
+  console.log(`✅ Rating submitted: User ${currentAccount.userId} rated movie ${movieId} with ${rating} stars`);
 }
 
 /**
@@ -0,0 +1,181 @@
+// API base URL
+const API_BASE = '/api';
+
+// Get tag from URL (no tag shows the tag cloud)
+const urlParams = new URLSearchParams(window.location.search);
+const tag = urlParams.get('tag');
+
+// State
+let currentPage = 0;
+const itemsPerPage = 20;
+let searchTimer = null;
+
+// Initialize page
+document.addEventListener('DOMContentLoaded', () => {
+  if (tag) {
+    document.getElementById('tagMoviesSection').style.display = 'block';
+    document.getElementById('tagTitle').textContent = tag;
+    document.title = `${tag} - CymbalFlix`;
+    setupPagination();
+    loadTagMovies();
+  } else {
+    document.getElementById('tagCloudSection').style.display = 'block';
+    setupTagSearch();
+    loadTagCloud();
+  }
+});
+
+// Filter the cloud as the user types
+function setupTagSearch() {
+  document.getElementById('tagSearchInput').addEventListener('input', (e) => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => loadTagCloud(e.target.value.trim()), 250);
+  });
+}
+
+// Setup pagination
+function setupPagination() {
+  document.getElementById('prevPage').addEventListener('click', (e) => {
+    e.preventDefault();
+    if (currentPage > 0) {
+      currentPage--;
+      loadTagMovies();
+    }
+  });
+
+  document.getElementById('nextPage').addEventListener('click', (e) => {
+    e.preventDefault();
+    if (!document.getElementById('nextPage').classList.contains('disabled')) {
+      currentPage++;
+      loadTagMovies();
+    }
+  });
+}
+
+// Load tag cloud
+async function loadTagCloud(query = '') {
+  try {
+    const params = new URLSearchParams({ limit: 150 });
+    if (query) {
+      params.append('q', query);
+    }
+
+    const response = await fetch(`${API_BASE}/tags?${params}`);
+    if (!response.ok) {
+      throw await apiError(response, 'Failed to load tags');
+    }
+
+    const data = await response.json();
+    displayTagCloud(data.tags);
+  } catch (error) {
+    showError(error, 'Failed to load tags. Please try again.');
+    console.error('Error loading tags:', error);
+  }
+}
+
+// Display tags sized by usage
+function displayTagCloud(tags) {
+  const cloud = document.getElementById('tagCloud');
+
+  if (tags.length === 0) {
+    cloud.innerHTML = '<p class="text-muted">No tags found.</p>';
+    return;
+  }
+
+  const maxCount = Math.max(...tags.map(t => t.count));
+
+  // Alphabetical order reads better in a cloud; size carries the popularity
+  cloud.innerHTML = [...tags]
+    .sort((a, b) => a.tag.localeCompare(b.tag))
+    .map(t => {
+      const size = 0.8 + (Math.log(t.count + 1) / Math.log(maxCount + 1)) * 1.2;
+      return `
+        <a href="/tag.html?tag=${encodeURIComponent(t.tag)}" class="badge bg-info text-dark text-decoration-none me-1 mb-1"
+          style="font-size: ${size.toFixed(2)}rem;"
+          title="Used ${t.count} time${t.count !== 1 ? 's' : ''} on ${t.movieCount} movie${t.movieCount !== 1 ? 's' : ''}">${escapeHtml(t.tag)}</a>
+      `;
+    })
+    .join('');
+}
+
+// Load movies for the current tag
+async function loadTagMovies() {
+  try {
+    const params = new URLSearchParams({
+      limit: itemsPerPage,
+      offset: currentPage * itemsPerPage
+    });
+
+    const response = await fetch(`${API_BASE}/tags/${encodeURIComponent(tag)}/movies?${params}`);
+    if (!response.ok) {
+      throw await apiError(response, 'Failed to load movies');
+    }
+
+    const data = await response.json();
+    document.getElementById('tagSummary').textContent =
+      `${data.pagination.total.toLocaleString()} movie${data.pagination.total !== 1 ? 's' : ''} tagged, ranked by how many users applied the tag`;
+    displayMovies(data.movies);
+    updatePagination(data.pagination);
+  } catch (error) {
+    showError(error, 'Failed to load movies for this tag. Please try again.');
+    console.error('Error loading tag movies:', error);
+  }
+}
+
+// Display movies in grid
+function displayMovies(movies) {
+  const grid = document.getElementById('moviesGrid');
+
+  if (movies.length === 0) {
+    grid.innerHTML = '<div class="col-12"><p class="text-center text-muted">No movies found with this tag.</p></div>';
+    return;
+  }
+
+  grid.innerHTML = movies.map(movie => {
+    const rating = movie.averageRating > 0 ? movie.averageRating.toFixed(1) : 'N/A';
+
+    return `
+      <div class="col">
+        <a href="/movie.html?id=${movie.movieId}" class="card h-100 movie-card text-decoration-none text-reset">
+          <div class="card-body">
+            <h5 class="card-title">${escapeHtml(movie.title)}</h5>
+            <div class="mb-2">
+              ${movie.genres.slice(0, 3).map(g => `<span class="badge bg-primary me-1">${g}</span>`).join('')}
+            </div>
+            <div class="d-flex justify-content-between align-items-center">
+              <div>
+                <i class="bi bi-star-fill text-warning"></i>
+                <strong>${rating}</strong>
+              </div>
+              <small class="text-muted">
+                <i class="bi bi-people"></i> ${movie.tagUserCount} tagger${movie.tagUserCount !== 1 ? 's' : ''}
+              </small>
+            </div>
+          </div>
+        </a>
+      </div>
+    `;
+  }).join('');
+}
+
+// Update pagination controls
+function updatePagination(pagination) {
+  document.getElementById('currentPageDisplay').textContent = currentPage + 1;
+  document.getElementById('prevPage').classList.toggle('disabled', currentPage === 0);
+  document.getElementById('nextPage').classList.toggle('disabled', !pagination.hasMore);
+}
+
+// Show error message for a failed API call (see errors.js)
+function showError(error, fallbackMessage) {
+  const errorDiv = document.getElementById('errorMessage');
+  const errorText = document.getElementById('errorText');
+  errorText.textContent = describeApiError(error, fallbackMessage);
+  errorDiv.style.display = 'block';
+}
+
+// Escape HTML to prevent XSS
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
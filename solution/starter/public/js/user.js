@@ -0,0 +1,180 @@
+// API base URL
+const API_BASE = '/api';
+
+// Get user ID from URL
+const urlParams = new URLSearchParams(window.location.search);
+const userId = urlParams.get('id');
+
+// State
+let currentPage = 0;
+const itemsPerPage = 20;
+
+// Initialize page
+document.addEventListener('DOMContentLoaded', () => {
+  if (!userId) {
+    showError(null, 'No user ID provided');
+    return;
+  }
+
+  loadUserProfile();
+  setupEventListeners();
+});
+
+// Setup event listeners
+function setupEventListeners() {
+  document.getElementById('prevPage').addEventListener('click', (e) => {
+    e.preventDefault();
+    if (currentPage > 0) {
+      currentPage--;
+      loadUserProfile();
+    }
+  });
+
+  document.getElementById('nextPage').addEventListener('click', (e) => {
+    e.preventDefault();
+    if (!document.getElementById('nextPage').classList.contains('disabled')) {
+      currentPage++;
+      loadUserProfile();
+    }
+  });
+}
+
+// Load user profile
+async function loadUserProfile() {
+  try {
+    const params = new URLSearchParams({
+      limit: itemsPerPage,
+      offset: currentPage * itemsPerPage
+    });
+
+    const response = await fetch(`${API_BASE}/users/${userId}?${params}`);
+
+    if (!response.ok) {
+      throw await apiError(response, 'User not found');
+    }
+
+    const data = await response.json();
+    displayUserProfile(data);
+  } catch (error) {
+    showError(error, 'Failed to load user profile. Please try again.');
+    console.error('Error loading user:', error);
+  } finally {
+    document.getElementById('loading').style.display = 'none';
+  }
+}
+
+// Display user profile
+function displayUserProfile(data) {
+  // Profile header
+  document.getElementById('userTitle').textContent = `User ${data.userId}`;
+  document.getElementById('userAverage').textContent =
+    data.averageRating !== null ? data.averageRating.toFixed(2) : 'N/A';
+  document.getElementById('userRatingCount').textContent = data.ratingCount.toLocaleString();
+
+  displayGenreAffinity(data.genreAffinity);
+  displayTags(data.tags);
+  displayRatingHistory(data.ratings);
+  updatePagination(data.pagination);
+
+  document.getElementById('userProfile').style.display = 'block';
+}
+
+// Display per-genre affinity
+function displayGenreAffinity(genres) {
+  if (!genres || genres.length === 0) {
+    return;
+  }
+
+  document.getElementById('genreAffinity').innerHTML = genres.map(g => {
+    const affinityClass = g.affinity > 0 ? 'text-success' : g.affinity < 0 ? 'text-danger' : 'text-muted';
+    const sign = g.affinity > 0 ? '+' : '';
+
+    return `
+      <tr>
+        <td><span class="badge bg-primary">${escapeHtml(g.genre)}</span></td>
+        <td>${g.ratingCount}</td>
+        <td>${g.averageRating.toFixed(2)}</td>
+        <td>${g.globalAverage.toFixed(2)}</td>
+        <td><strong class="${affinityClass}">${sign}${g.affinity.toFixed(2)}</strong></td>
+      </tr>
+    `;
+  }).join('');
+
+  document.getElementById('affinitySection').style.display = 'block';
+}
+
+// Display tags the user applied
+function displayTags(tags) {
+  if (!tags || tags.length === 0) {
+    return;
+  }
+
+  document.getElementById('userTags').innerHTML = tags
+    .map(t => `
+      <a href="/movie.html?id=${t.movieId}" class="badge bg-info text-dark text-decoration-none me-1 mb-1"
+        title="${escapeAttribute(t.title || '')}">${escapeHtml(t.tag)}</a>
+    `)
+    .join('');
+
+  document.getElementById('tagsSection').style.display = 'block';
+}
+
+// Display one page of rating history
+function displayRatingHistory(ratings) {
+  const tbody = document.getElementById('ratingHistory');
+
+  if (ratings.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="3" class="text-center text-muted">No ratings yet</td></tr>';
+    return;
+  }
+
+  tbody.innerHTML = ratings.map(rating => {
+    const date = new Date(rating.timestamp * 1000);
+    const ratingClass = rating.rating >= 4 ? 'text-success' :
+                       rating.rating >= 3 ? 'text-warning' : 'text-danger';
+
+    return `
+      <tr>
+        <td><a href="/movie.html?id=${rating.movieId}">${escapeHtml(rating.title || `Movie ${rating.movieId}`)}</a></td>
+        <td>
+          <i class="bi bi-star-fill ${ratingClass}"></i>
+          <strong class="${ratingClass}">${rating.rating.toFixed(1)}</strong>
+        </td>
+        <td>${date.toLocaleDateString()}</td>
+      </tr>
+    `;
+  }).join('');
+}
+
+// Update pagination controls
+function updatePagination(pagination) {
+  document.getElementById('currentPageDisplay').textContent = currentPage + 1;
+  document.getElementById('prevPage').classList.toggle('disabled', currentPage === 0);
+  document.getElementById('nextPage').classList.toggle('disabled', !pagination.hasMore);
+}
+
+// Show error message for a failed API call (see errors.js)
+function showError(error, fallbackMessage) {
+  const errorDiv = document.getElementById('errorMessage');
+  const errorText = document.getElementById('errorText');
+  errorText.textContent = describeApiError(error, fallbackMessage);
+  errorDiv.style.display = 'block';
+  document.getElementById('loading').style.display = 'none';
+}
+
+// Escape HTML to prevent XSS
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+// Escape text for a quoted attribute value; escapeHtml leaves quotes alone
+function escapeAttribute(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
@@ -4,21 +4,47 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
-const { connect } = require('./db/connection');
+const { connect, getDb } = require('./db/connection');
+const {
+  STATS_RECONCILE_INTERVAL_MINUTES,
+  MOVIE_STATS_RECONCILE_INTERVAL_SECONDS,
+  reconcilePlatformStats,
+  reconcileRecentMovieTotals
+} = require('./db/movie_stats');
+const { startCacheVersionPolling, onCacheInvalidated, invalidateCache, invalidateSharedCache, movieCacheTags } = require('./middleware/cache');
+const { clearTitleCache } = require('./search/suggest');
+const { ensureAccountIndexes } = require('./db/accounts');
+const { requestId } = require('./middleware/request_id');
+const { loadUser } = require('./middleware/auth');
+const { rateLimit } = require('./middleware/rate_limit');
+const { NotFoundError, toApiError, sendProblem } = require('./errors');
 const apiRoutes = require('./routes/api');
+const authRoutes = require('./routes/auth');
+const adminRoutes = require('./routes/admin');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
 
+// Proxies in front of the app (1 on Cloud Run), so req.ip is the client's
+// address from X-Forwarded-For rather than the proxy's
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS || '0', 10));
+
 // Middleware
-app.use(cors()); // Enable CORS for all routes
+app.use(requestId); // Tag each request with an ID for error reports and logs
+app.use(cors({ exposedHeaders: ['X-Request-Id', 'Retry-After', 'RateLimit-Remaining'] })); // Enable CORS for all routes
 app.use(express.json()); // Parse JSON request bodies
 app.use(express.urlencoded({ extended: true })); // Parse URL-encoded bodies
+const limiter = rateLimit(); // Throttle each IP, then each user (see middleware/rate_limit.js)
+app.use('/api', limiter.byIp); // Before loadUser, so floods of bogus credentials are cheap
+app.use('/api', loadUser); // Set req.user from the session cookie or ID token
+app.use('/api', limiter.byUser);
 
 // Serve static files from the public directory
 app.use(express.static(path.join(__dirname, '../public')));
 
 // API routes
+app.use('/api/auth', authRoutes);
+app.use('/api/admin', adminRoutes);
 app.use('/api', apiRoutes);
 
 // Root route - serve the main HTML page
@@ -32,16 +58,22 @@ app.get('/health', (req, res) => {
 });
 
 // 404 handler
-app.use((req, res) => {
-  res.status(404).json({ error: 'Not found' });
+app.use((req, res, next) => {
+  next(new NotFoundError(`No route for ${req.method} ${req.path}`, 'ROUTE_NOT_FOUND'));
 });
 
-// Error handling middleware
+// Error handling middleware: everything goes out as problem+json, and only
+// errors meant for clients keep their message (see server/errors.js)
 app.use((err, req, res, next) => {
-  console.error('Error:', err);
-  res.status(err.status || 500).json({
-    error: err.message || 'Internal server error'
-  });
+  const error = toApiError(err);
+  if (error.status >= 500) {
+    console.error(`Error [${req.id}]:`, err);
+  }
+  
+  if (res.headersSent) {
+    return next(err);
+  }
+  sendProblem(req, res, error);
 });
 
 // Connect to database and start server
@@ -51,6 +83,14 @@ async function startServer() {
     await connect();
     console.log('✓ Database connected');
     
+    await ensureAccountIndexes(getDb());
+    
+    schedulePlatformStatsReconcile();
+    scheduleMovieStatsReconcile();
+    // Titles added, renamed or deleted on any server leave the suggestions too
+    onCacheInvalidated(['titles'], clearTitleCache);
+    startCacheVersionPolling(getDb());
+    
     app.listen(PORT, () => {
       console.log(`\n========================================`);
       console.log(`🎬 CymbalFlix server running`);
@@ -66,6 +106,40 @@ async function startServer() {
   }
 }
 
+// Periodically recount platform totals so drift in the incremental counters
+// (e.g. from a failed write between two updates) doesn't last
+function schedulePlatformStatsReconcile() {
+  if (STATS_RECONCILE_INTERVAL_MINUTES <= 0) return;
+  
+  const timer = setInterval(async () => {
+    try {
+      await reconcilePlatformStats(getDb());
+      invalidateCache(['stats']);
+    } catch (error) {
+      console.error('Platform stats reconciliation failed:', error);
+    }
+  }, STATS_RECONCILE_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+}
+
+// Ratings written by the realtime client go straight to Firestore; recount the
+// movies they touched so their averages catch up within a minute or so
+function scheduleMovieStatsReconcile() {
+  if (MOVIE_STATS_RECONCILE_INTERVAL_SECONDS <= 0) return;
+  
+  const timer = setInterval(async () => {
+    try {
+      const changed = await reconcileRecentMovieTotals(getDb());
+      if (changed.length > 0) {
+        await invalidateSharedCache(getDb(), [...new Set(changed.flatMap(movieCacheTags))]);
+      }
+    } catch (error) {
+      console.error('Movie stats reconciliation failed:', error);
+    }
+  }, MOVIE_STATS_RECONCILE_INTERVAL_SECONDS * 1000);
+  timer.unref();
+}
+
 // Handle graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully...');
@@ -0,0 +1,314 @@
+// server/db/accounts.js
+// User accounts and login sessions.
+//
+// An account has a numeric userId, so its ratings and tags sit alongside the
+// imported MovieLens users'. New accounts get userIds above every imported
+// one; nobody can sign in as a MovieLens user.
+//
+// Accounts sign in with an email and scrypt-hashed password, with Firebase
+// Auth (firebaseUid, set for anonymous and email-link users), or both: a
+// Firebase user with a verified email is linked to the password account for
+// that email, provided that account's email was verified too. Either way the
+// API sees the same userId.
+//
+// Registering doesn't prove the address belongs to the registrant, so
+// password accounts start with emailVerified false. Linking a Firebase user
+// to one would let whoever registered someone else's address keep a password
+// into that person's account once they sign in by email link.
+//
+// Sessions are random tokens held in a cookie. Only a SHA-256 hash of the
+// token is stored, so a leaked sessions collection can't be replayed.
+//
+// Accounts may hold roles for the admin API (server/routes/admin.js), granted
+// with admin/grant_role.js. Nobody has one by default.
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ACCOUNTS_COLLECTION = 'accounts';
+const SESSIONS_COLLECTION = 'sessions';
+const META_COLLECTION = 'meta';
+const USER_ID_SEQUENCE_ID = 'userIdSequence';
+
+// editor: change the catalog (movies, genres, links)
+// moderator: remove and reassign ratings
+// admin: everything
+const ROLES = ['admin', 'editor', 'moderator'];
+
+// How long a login lasts
+const SESSION_TTL_DAYS = parseInt(process.env.SESSION_TTL_DAYS || '30', 10);
+
+// scrypt cost parameters, stored with each hash so they can be raised later
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEY_LENGTH = 64;
+
+/**
+ * Hash a password as "scrypt$N$r$p$salt$hash" (salt and hash base64)
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const hash = await scrypt(password, salt, SCRYPT_KEY_LENGTH, { N, r, p });
+  return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+/**
+ * Check a password against a stored hash in constant time
+ */
+async function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, expected] = stored.split('$');
+  if (scheme !== 'scrypt') return false;
+
+  const expectedHash = Buffer.from(expected, 'base64');
+  const hash = await scrypt(password, Buffer.from(salt, 'base64'), expectedHash.length, {
+    N: parseInt(N, 10),
+    r: parseInt(r, 10),
+    p: parseInt(p, 10)
+  });
+  return crypto.timingSafeEqual(hash, expectedHash);
+}
+
+// Compared against when an email has no account, so a failed login takes as
+// long whether or not the account exists
+const DUMMY_PASSWORD_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+function normalizeEmail(email) {
+  return email.trim().toLowerCase();
+}
+
+function hashSessionToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Indexes the account and session lookups rely on. Safe to run repeatedly.
+ */
+async function ensureAccountIndexes(db) {
+  await Promise.all([
+    // Sparse: anonymous Firebase accounts have no email
+    db.collection(ACCOUNTS_COLLECTION).createIndex({ email: 1 }, { unique: true, sparse: true }),
+    db.collection(ACCOUNTS_COLLECTION).createIndex({ firebaseUid: 1 }, { unique: true, sparse: true }),
+    db.collection(ACCOUNTS_COLLECTION).createIndex({ userId: 1 }, { unique: true }),
+    db.collection(SESSIONS_COLLECTION).createIndex({ accountId: 1 })
+  ]);
+}
+
+/**
+ * Allocate the next userId for a new account. The sequence starts after the
+ * highest userId found in ratings and tags.
+ */
+async function nextUserId(db) {
+  const meta = db.collection(META_COLLECTION);
+
+  if (!await meta.findOne({ _id: USER_ID_SEQUENCE_ID })) {
+    const highest = await Promise.all(['ratings', 'tags'].map(name =>
+      db.collection(name).find({}, { projection: { userId: 1 } }).sort({ userId: -1 }).limit(1).next()
+    ));
+    const start = Math.max(0, ...highest.filter(Boolean).map(doc => doc.userId));
+
+    try {
+      await meta.updateOne(
+        { _id: USER_ID_SEQUENCE_ID },
+        { $setOnInsert: { value: start } },
+        { upsert: true }
+      );
+    } catch (error) {
+      // Two first registrations can both try to insert the sequence; the
+      // loser's upsert fails on _id, and the sequence it wanted now exists
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  const sequence = await meta.findOneAndUpdate(
+    { _id: USER_ID_SEQUENCE_ID },
+    { $inc: { value: 1 } },
+    { returnDocument: 'after' }
+  );
+  return sequence.value;
+}
+
+/**
+ * Create an account. Returns null if the email is already registered.
+ */
+async function createAccount(db, { email, password }) {
+  const account = {
+    email: normalizeEmail(email),
+    passwordHash: await hashPassword(password),
+    emailVerified: false,
+    userId: await nextUserId(db),
+    createdAt: new Date()
+  };
+
+  try {
+    const result = await db.collection(ACCOUNTS_COLLECTION).insertOne(account);
+    return { _id: result.insertedId, ...account };
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+}
+
+/**
+ * The account for an email and password, or null if they don't match
+ */
+async function authenticate(db, { email, password }) {
+  const account = await db.collection(ACCOUNTS_COLLECTION).findOne({ email: normalizeEmail(email) });
+
+  // Accounts created through Firebase Auth have no password
+  if (!account || !account.passwordHash) {
+    await verifyPassword(password, await DUMMY_PASSWORD_HASH);
+    return null;
+  }
+
+  return await verifyPassword(password, account.passwordHash) ? account : null;
+}
+
+/**
+ * The account already linked to a Firebase user, or null
+ */
+async function findFirebaseAccount(db, uid) {
+  return db.collection(ACCOUNTS_COLLECTION).findOne({ firebaseUid: uid });
+}
+
+/**
+ * The account for a verified Firebase ID token, created on first sign-in.
+ * A verified email links to the password account for it when that account's
+ * email was verified too.
+ *
+ * The account's userId is stamped on the Firebase user as a custom claim
+ * (firebaseAuth is firebase-admin's Auth), so the Firestore rules can check
+ * the userId on ratings written from the realtime client. Clients see the
+ * claim once they refresh their ID token.
+ */
+async function findOrCreateFirebaseAccount(db, decodedToken, firebaseAuth) {
+  const account = await linkFirebaseAccount(db, decodedToken);
+  if (decodedToken.userId !== account.userId) {
+    await firebaseAuth.setCustomUserClaims(decodedToken.uid, { userId: account.userId });
+  }
+  return account;
+}
+
+async function linkFirebaseAccount(db, { uid, email, email_verified: emailVerified }) {
+  const accounts = db.collection(ACCOUNTS_COLLECTION);
+
+  const linked = await accounts.findOne({ firebaseUid: uid });
+  if (linked) return linked;
+
+  if (email && emailVerified) {
+    const existing = await accounts.findOneAndUpdate(
+      { email: normalizeEmail(email), emailVerified: true, firebaseUid: { $exists: false } },
+      { $set: { firebaseUid: uid } },
+      { returnDocument: 'after' }
+    );
+    if (existing) return existing;
+  }
+
+  const account = {
+    firebaseUid: uid,
+    userId: await nextUserId(db),
+    createdAt: new Date()
+  };
+  // An unverified password account may hold the address: this user gets a
+  // separate account without it
+  if (email && emailVerified && !(await accounts.findOne({ email: normalizeEmail(email) }, { projection: { _id: 1 } }))) {
+    account.email = normalizeEmail(email);
+    account.emailVerified = true;
+  }
+
+  try {
+    const result = await accounts.insertOne(account);
+    return { _id: result.insertedId, ...account };
+  } catch (error) {
+    // Two first requests from the same user raced: use the account the other created
+    if (error.code === 11000) {
+      const raced = await accounts.findOne({ firebaseUid: uid });
+      if (raced) return raced;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Start a session for an account. Returns { token, expiresAt }; the token is
+ * only ever handed to the client.
+ */
+async function createSession(db, account) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + SESSION_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  await db.collection(SESSIONS_COLLECTION).insertOne({
+    _id: hashSessionToken(token),
+    accountId: account._id,
+    userId: account.userId,
+    email: account.email,
+    createdAt: now,
+    expiresAt
+  });
+
+  return { token, expiresAt };
+}
+
+/**
+ * The session for a token, or null if it doesn't exist or has expired
+ */
+async function findSession(db, token) {
+  const sessions = db.collection(SESSIONS_COLLECTION);
+  const session = await sessions.findOne({ _id: hashSessionToken(token) });
+  if (!session) return null;
+
+  if (session.expiresAt <= new Date()) {
+    await sessions.deleteOne({ _id: session._id });
+    return null;
+  }
+  return session;
+}
+
+async function deleteSession(db, token) {
+  await db.collection(SESSIONS_COLLECTION).deleteOne({ _id: hashSessionToken(token) });
+}
+
+/**
+ * An account's roles, read fresh so a revoked role stops working at once
+ */
+async function getAccountRoles(db, accountId) {
+  const account = await db.collection(ACCOUNTS_COLLECTION).findOne(
+    { _id: accountId },
+    { projection: { roles: 1 } }
+  );
+  return (account && account.roles) || [];
+}
+
+/**
+ * Grant or revoke a role for the account with an email or userId. Returns the
+ * updated account, or null if there is none.
+ */
+async function setAccountRole(db, { email, userId }, role, granted) {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Unknown role: ${role} (expected one of: ${ROLES.join(', ')})`);
+  }
+
+  return db.collection(ACCOUNTS_COLLECTION).findOneAndUpdate(
+    email ? { email: normalizeEmail(email) } : { userId },
+    granted ? { $addToSet: { roles: role } } : { $pull: { roles: role } },
+    { returnDocument: 'after' }
+  );
+}
+
+module.exports = {
+  ROLES,
+  SESSION_TTL_DAYS,
+  hashPassword,
+  verifyPassword,
+  ensureAccountIndexes,
+  createAccount,
+  authenticate,
+  findFirebaseAccount,
+  findOrCreateFirebaseAccount,
+  createSession,
+  findSession,
+  deleteSession,
+  getAccountRoles,
+  setAccountRole
+};
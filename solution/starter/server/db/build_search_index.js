@@ -0,0 +1,79 @@
+// server/db/build_search_index.js
+// Builds the full-text search index (one document per movie) from movie titles,
+// summaries and tags. Run after import and after update_summaries.js: npm run search:index
+require('dotenv').config();
+
+const cliProgress = require('cli-progress');
+const { connect, close, getDb } = require('./connection');
+const { SEARCH_COLLECTION, buildSearchDocument } = require('../search/engine');
+const { bumpCacheVersion } = require('./cache_version');
+
+const BATCH_SIZE = 500;
+
+async function buildSearchIndex() {
+  const startTime = Date.now();
+
+  try {
+    await connect();
+    const db = getDb();
+    const searchCollection = db.collection(SEARCH_COLLECTION);
+
+    console.log('Loading movies and tags...');
+    const [movies, tags] = await Promise.all([
+      db.collection('movies')
+        .find({}, { projection: { _id: 0, movieId: 1, title: 1, summary: 1 } })
+        .toArray(),
+      db.collection('tags')
+        .find({}, { projection: { _id: 0, movieId: 1, tag: 1 } })
+        .toArray()
+    ]);
+    console.log(`Loaded ${movies.length.toLocaleString()} movies and ${tags.length.toLocaleString()} tags`);
+
+    const tagsByMovie = tags.reduce((acc, t) => {
+      (acc[t.movieId] = acc[t.movieId] || []).push(t.tag);
+      return acc;
+    }, {});
+
+    await Promise.all([
+      searchCollection.createIndex({ movieId: 1 }, { unique: true }),
+      searchCollection.createIndex({ terms: 1 })
+    ]);
+
+    const indexedAt = new Date();
+    const progressBar = new cliProgress.SingleBar({
+      format: '  Search index |{bar}| {percentage}% | {value}/{total}'
+    }, cliProgress.Presets.shades_classic);
+    progressBar.start(movies.length, 0);
+
+    for (let i = 0; i < movies.length; i += BATCH_SIZE) {
+      const batch = movies.slice(i, i + BATCH_SIZE).map(movie => ({
+        replaceOne: {
+          filter: { movieId: movie.movieId },
+          replacement: { ...buildSearchDocument(movie, tagsByMovie[movie.movieId]), indexedAt },
+          upsert: true
+        }
+      }));
+
+      await searchCollection.bulkWrite(batch, { ordered: false });
+      progressBar.update(Math.min(i + BATCH_SIZE, movies.length));
+    }
+
+    progressBar.stop();
+
+    // Drop documents for movies that no longer exist
+    await searchCollection.deleteMany({ indexedAt: { $lt: indexedAt } });
+    await bumpCacheVersion(db);
+
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+    console.log(`✓ Search index built in ${duration}s`);
+  } catch (error) {
+    console.error('\n❌ Search index build failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await close();
+  }
+}
+
+if (require.main === module) {
+  buildSearchIndex();
+}
@@ -0,0 +1,70 @@
+// server/db/cache_version.js
+// Shared cache invalidation. Every server keeps its own in-memory cache of API
+// responses (see server/middleware/cache.js), so changes have to reach the
+// others through the database:
+// - API writes record which cache tags they made stale in the
+//   cacheInvalidations collection; servers drop just those tags.
+// - Batch jobs and admin scripts run in their own processes and change too
+//   much to list, so they bump a version number instead and servers drop
+//   their whole cache when it changes.
+
+const META_COLLECTION = 'meta';
+const CACHE_VERSION_ID = 'cacheVersion';
+const INVALIDATIONS_COLLECTION = 'cacheInvalidations';
+
+/**
+ * Current cache version, 0 if nothing has bumped it yet
+ */
+async function getCacheVersion(db) {
+  const doc = await db.collection(META_COLLECTION).findOne({ _id: CACHE_VERSION_ID });
+  return doc ? doc.version : 0;
+}
+
+/**
+ * Invalidate every server's cached responses. Call after changing data outside
+ * the API. Returns the new version.
+ */
+async function bumpCacheVersion(db) {
+  const doc = await db.collection(META_COLLECTION).findOneAndUpdate(
+    { _id: CACHE_VERSION_ID },
+    { $inc: { version: 1 }, $set: { updatedAt: new Date() } },
+    { upsert: true, returnDocument: 'after' }
+  );
+  return doc.version;
+}
+
+/**
+ * Record that cached responses with the given tags are stale. Each write adds
+ * its own document, so concurrent writes never contend. Returns the record.
+ */
+async function recordInvalidation(db, tags) {
+  const invalidation = { tags, createdAt: new Date() };
+  const result = await db.collection(INVALIDATIONS_COLLECTION).insertOne(invalidation);
+  return { ...invalidation, _id: result.insertedId };
+}
+
+/**
+ * Invalidations recorded after the given time, oldest first
+ */
+async function findInvalidationsSince(db, since) {
+  return db.collection(INVALIDATIONS_COLLECTION)
+    .find({ createdAt: { $gt: since } })
+    .sort({ createdAt: 1 })
+    .toArray();
+}
+
+/**
+ * Delete invalidations recorded before the given time; every server has seen
+ * them by then
+ */
+async function pruneInvalidations(db, before) {
+  await db.collection(INVALIDATIONS_COLLECTION).deleteMany({ createdAt: { $lt: before } });
+}
+
+module.exports = {
+  getCacheVersion,
+  bumpCacheVersion,
+  recordInvalidation,
+  findInvalidationsSince,
+  pruneInvalidations
+};
@@ -0,0 +1,189 @@
+// server/db/compute_similar.js
+// Precomputes item-to-item "similar movies" neighbors from the ratings collection.
+// Run after import (and periodically as new ratings arrive): npm run compute:similar
+require('dotenv').config();
+
+const cliProgress = require('cli-progress');
+const { connect, close, getDb } = require('./connection');
+
+// Configuration
+const NEIGHBORS_PER_MOVIE = parseInt(process.env.SIMILAR_NEIGHBORS || '20', 10);
+const MIN_CO_RATERS = parseInt(process.env.SIMILAR_MIN_CO_RATERS || '10', 10);
+const SHRINKAGE = parseInt(process.env.SIMILAR_SHRINKAGE || '25', 10);
+const BATCH_SIZE = 500;
+
+/**
+ * Load every rating as { userId, movieId, rating }
+ */
+async function loadRatings(db) {
+  console.log('Loading ratings...');
+
+  const ratings = await db.collection('ratings')
+    .find({}, { projection: { _id: 0, userId: 1, movieId: 1, rating: 1 } })
+    .toArray();
+
+  console.log(`Loaded ${ratings.length.toLocaleString()} ratings`);
+  return ratings;
+}
+
+/**
+ * Compute the top neighbors for every movie using adjusted cosine similarity.
+ *
+ * Each rating is centered on its user's mean so that generous and harsh raters
+ * contribute comparably. Similarity is only computed over users who rated both
+ * movies, pairs with fewer than minCoRaters shared users are dropped, and the
+ * remaining scores are shrunk by coRaters / (coRaters + shrinkage) so a pair
+ * with a handful of shared ratings can't outrank a well-supported one.
+ *
+ * Returns a Map of movieId -> [{ movieId, similarity, coRaters }]
+ */
+function computeNeighbors(ratings, {
+  neighbors = NEIGHBORS_PER_MOVIE,
+  minCoRaters = MIN_CO_RATERS,
+  shrinkage = SHRINKAGE
+} = {}) {
+  // Dense indexes for users and movies so accumulators can be typed arrays
+  const movieIndex = new Map();
+  const movieIds = [];
+  const userIndex = new Map();
+  const userRatings = [];
+
+  for (const r of ratings) {
+    if (!movieIndex.has(r.movieId)) {
+      movieIndex.set(r.movieId, movieIds.length);
+      movieIds.push(r.movieId);
+    }
+    if (!userIndex.has(r.userId)) {
+      userIndex.set(r.userId, userRatings.length);
+      userRatings.push([]);
+    }
+    userRatings[userIndex.get(r.userId)].push({ movie: movieIndex.get(r.movieId), value: r.rating });
+  }
+
+  // Center each user's ratings on their own mean
+  const movieRaters = movieIds.map(() => []);
+  userRatings.forEach((items, user) => {
+    const mean = items.reduce((sum, item) => sum + item.value, 0) / items.length;
+    items.forEach(item => {
+      item.value -= mean;
+      movieRaters[item.movie].push({ user, value: item.value });
+    });
+  });
+
+  const dot = new Float64Array(movieIds.length);
+  const normA = new Float64Array(movieIds.length);
+  const normB = new Float64Array(movieIds.length);
+  const coCount = new Int32Array(movieIds.length);
+
+  const result = new Map();
+
+  for (let a = 0; a < movieIds.length; a++) {
+    if (movieRaters[a].length < minCoRaters) continue;
+
+    // Accumulate co-rated sums against every movie that shares a rater with `a`
+    const touched = [];
+    for (const { user, value: va } of movieRaters[a]) {
+      for (const { movie: b, value: vb } of userRatings[user]) {
+        if (b === a) continue;
+        if (coCount[b] === 0) touched.push(b);
+        dot[b] += va * vb;
+        normA[b] += va * va;
+        normB[b] += vb * vb;
+        coCount[b] += 1;
+      }
+    }
+
+    const scored = [];
+    for (const b of touched) {
+      const coRaters = coCount[b];
+      const denominator = Math.sqrt(normA[b] * normB[b]);
+
+      if (coRaters >= minCoRaters && denominator > 0) {
+        const similarity = (dot[b] / denominator) * (coRaters / (coRaters + shrinkage));
+        if (similarity > 0) {
+          scored.push({ movieId: movieIds[b], similarity: Math.round(similarity * 10000) / 10000, coRaters });
+        }
+      }
+
+      dot[b] = 0;
+      normA[b] = 0;
+      normB[b] = 0;
+      coCount[b] = 0;
+    }
+
+    if (scored.length > 0) {
+      scored.sort((x, y) => y.similarity - x.similarity || y.coRaters - x.coRaters);
+      result.set(movieIds[a], scored.slice(0, neighbors));
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Store neighbors in the similarities collection, replacing previous results
+ */
+async function saveNeighbors(db, neighborsByMovie) {
+  const similaritiesCollection = db.collection('similarities');
+  const computedAt = new Date();
+
+  await similaritiesCollection.createIndex({ movieId: 1 }, { unique: true });
+
+  const progressBar = new cliProgress.SingleBar({
+    format: '  Similarities |{bar}| {percentage}% | {value}/{total}'
+  }, cliProgress.Presets.shades_classic);
+  progressBar.start(neighborsByMovie.size, 0);
+
+  const entries = [...neighborsByMovie.entries()];
+  for (let i = 0; i < entries.length; i += BATCH_SIZE) {
+    const batch = entries.slice(i, i + BATCH_SIZE).map(([movieId, similar]) => ({
+      replaceOne: {
+        filter: { movieId },
+        replacement: { movieId, similar, computedAt },
+        upsert: true
+      }
+    }));
+
+    await similaritiesCollection.bulkWrite(batch, { ordered: false });
+    progressBar.update(Math.min(i + BATCH_SIZE, entries.length));
+  }
+
+  progressBar.stop();
+
+  // Movies that no longer have enough co-raters keep no stale neighbors
+  const { deletedCount } = await similaritiesCollection.deleteMany({ computedAt: { $lt: computedAt } });
+  if (deletedCount > 0) {
+    console.log(`Removed ${deletedCount} stale neighbor lists`);
+  }
+}
+
+async function computeSimilar() {
+  const startTime = Date.now();
+
+  try {
+    await connect();
+    const db = getDb();
+
+    const ratings = await loadRatings(db);
+
+    console.log(`Computing neighbors (min co-raters: ${MIN_CO_RATERS}, top ${NEIGHBORS_PER_MOVIE})...`);
+    const neighborsByMovie = computeNeighbors(ratings);
+    console.log(`Found neighbors for ${neighborsByMovie.size.toLocaleString()} movies`);
+
+    await saveNeighbors(db, neighborsByMovie);
+
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+    console.log(`✓ Similar movies computed in ${duration}s`);
+  } catch (error) {
+    console.error('\n❌ Similarity computation failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await close();
+  }
+}
+
+if (require.main === module) {
+  computeSimilar();
+}
+
+module.exports = { computeNeighbors };
@@ -6,6 +6,9 @@ const path = require('path');
 const { parse } = require('csv-parse');
 const cliProgress = require('cli-progress');
 const { connect, close, getDb } = require('./connection');
+const { GLOBAL_STATS_ID, deriveRatingStats } = require('./movie_stats');
+const { bumpCacheVersion } = require('./cache_version');
+const { tagKey } = require('./tags');
 
 // Paths to MovieLens data files
 const DATA_DIR = path.join(__dirname, '/../../../../starter/data/ml-latest-small');
@@ -54,8 +57,10 @@ async function parseMovies() {
       title: row.title,
       year,
       genres,
-      averageRating: 0,  // Will be calculated
-      ratingCount: 0     // Will be calculated
+      ratingSum: 0,          // Will be calculated
+      ratingCount: 0,        // Will be calculated
+      averageRating: 0,      // Derived from ratingSum / ratingCount
+      weightedRating: null   // Derived, see movie_stats.js
     };
   });
   
@@ -86,18 +91,30 @@ async function parseRatings() {
 /**
  * Parse tags.csv
  * Format: userId,movieId,tag,timestamp
+ *
+ * Repeats of a tag by the same user on the same movie (ignoring case and
+ * spacing) are dropped so the unique tagKey index builds.
  */
 async function parseTags() {
   console.log('Parsing tags.csv...');
   
   const data = await parseCSVStream(TAGS_FILE);
   
-  const tags = data.map(row => ({
-    userId: parseInt(row.userId),
-    movieId: parseInt(row.movieId),
-    tag: row.tag,
-    timestamp: parseInt(row.timestamp)
-  }));
+  const seen = new Set();
+  const tags = [];
+  data.forEach(row => {
+    const tag = {
+      userId: parseInt(row.userId),
+      movieId: parseInt(row.movieId),
+      tag: row.tag,
+      tagKey: tagKey(row.tag),
+      timestamp: parseInt(row.timestamp)
+    };
+    const id = `${tag.userId}:${tag.movieId}:${tag.tagKey}`;
+    if (seen.has(id)) return;
+    seen.add(id);
+    tags.push(tag);
+  });
   
   console.log(`Parsed ${tags.length} tags`);
   return tags;
@@ -123,8 +140,9 @@ async function parseLinks() {
 }
 
 /**
- * Calculate average ratings and counts for each movie
+ * Calculate average ratings, counts and weighted ratings for each movie
  * Optimized with single-pass reduce
+ * Returns the platform-wide rating totals
  */
 function calculateMovieStats(movies, ratings) {
   console.log('Calculating movie statistics...');
@@ -139,16 +157,22 @@ function calculateMovieStats(movies, ratings) {
     return acc;
   }, {});
   
+  // Global mean is the prior that weighted ratings shrink toward
+  const ratingSum = ratings.reduce((sum, rating) => sum + rating.rating, 0);
+  const globalMean = ratings.length > 0 ? ratingSum / ratings.length : 0;
+  
   // Update movies with calculated stats
   movies.forEach(movie => {
     const stats = statsMap[movie.movieId];
     if (stats) {
-      movie.averageRating = Math.round((stats.sum / stats.count) * 100) / 100;
+      movie.ratingSum = stats.sum;
       movie.ratingCount = stats.count;
+      Object.assign(movie, deriveRatingStats(stats.sum, stats.count, globalMean));
     }
   });
   
   console.log('Movie statistics calculated');
+  return { ratingSum, ratingCount: ratings.length };
 }
 
 /**
@@ -222,18 +246,27 @@ async function createIndexes(db) {
     // Movies indexes
     withRetry(() => moviesCollection.createIndex({ movieId: 1 }, { unique: true })),
     withRetry(() => moviesCollection.createIndex({ averageRating: -1 })),
+    withRetry(() => moviesCollection.createIndex({ weightedRating: -1 })),
     withRetry(() => moviesCollection.createIndex({ genres: 1 })),
     withRetry(() => moviesCollection.createIndex({ title: 1 })),
     
+    // Keyset pagination sorts on each listing field with movieId as tiebreaker
+    ...['weightedRating', 'averageRating', 'ratingCount', 'title', 'year'].map(field =>
+      withRetry(() => moviesCollection.createIndex({ [field]: -1, movieId: -1 }))
+    ),
+    
     // Ratings indexes
     withRetry(() => ratingsCollection.createIndex({ movieId: 1 })),
     withRetry(() => ratingsCollection.createIndex({ userId: 1 })),
+    withRetry(() => ratingsCollection.createIndex({ userId: 1, movieId: 1 }, { unique: true })),
     withRetry(() => ratingsCollection.createIndex({ rating: -1 })),
+    withRetry(() => ratingsCollection.createIndex({ timestamp: -1 })),
     
     // Tags indexes
     withRetry(() => tagsCollection.createIndex({ movieId: 1 })),
     withRetry(() => tagsCollection.createIndex({ userId: 1 })),
     withRetry(() => tagsCollection.createIndex({ tag: 1 })),
+    withRetry(() => tagsCollection.createIndex({ userId: 1, movieId: 1, tagKey: 1 }, { unique: true })),
     
     // Links indexes
     withRetry(() => linksCollection.createIndex({ movieId: 1 }, { unique: true })),
@@ -263,7 +296,7 @@ async function importData() {
     ]);
     
     // Calculate movie statistics
-    calculateMovieStats(movies, ratings);
+    const globalStats = calculateMovieStats(movies, ratings);
     
     // Connect to Firestore
     await connect();
@@ -300,6 +333,24 @@ async function importData() {
     const tagCount = await importInBatches(tagsCollection, tags, 'Tags');
     console.log(`✓ Inserted ${tagCount.toLocaleString()} tags`);
     
+    // Store platform-wide totals
+    const now = new Date();
+    await db.collection('stats').replaceOne(
+      { _id: GLOBAL_STATS_ID },
+      {
+        ...globalStats,
+        movieCount,
+        tagCount,
+        userCount: new Set(ratings.map(r => r.userId)).size,
+        updatedAt: now,
+        reconciledAt: now
+      },
+      { upsert: true }
+    );
+    
+    // Running servers drop responses cached from the old data
+    await bumpCacheVersion(db);
+    
     const endTime = Date.now();
     const duration = ((endTime - startTime) / 1000).toFixed(2);
     
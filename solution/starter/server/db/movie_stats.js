@@ -0,0 +1,344 @@
+// server/db/movie_stats.js
+// Rating statistics shared by the import, the rating write path and admin scripts.
+//
+// Each movie stores ratingSum and ratingCount, which writes adjust atomically;
+// averageRating and weightedRating are derived from them.
+//
+// Platform-wide totals (movies, ratings, tags, users with ratings) live in one
+// stats document. Write paths keep it current with $inc and a periodic
+// reconciliation recounts it from the collections.
+//
+// Ratings from the realtime client are written straight to Firestore and skip
+// all of this; the server recounts the movies they touched shortly after
+// (reconcileRecentMovieTotals) and the platform totals at the next recount.
+
+// Votes needed before a movie's own average outweighs the global mean
+const WEIGHTED_RATING_MIN_VOTES = parseInt(process.env.WEIGHTED_RATING_MIN_VOTES || '10', 10);
+
+// Platform-wide totals live in a single document in the stats collection
+const GLOBAL_STATS_ID = 'global';
+
+// How often the server recounts platform totals; 0 leaves it to npm run reconcile:stats
+const STATS_RECONCILE_INTERVAL_MINUTES = parseInt(process.env.STATS_RECONCILE_INTERVAL_MINUTES || '60', 10);
+
+// How often the server recounts movies with new ratings; 0 turns it off
+const MOVIE_STATS_RECONCILE_INTERVAL_SECONDS = parseInt(process.env.MOVIE_STATS_RECONCILE_INTERVAL_SECONDS || '60', 10);
+
+// Realtime ratings carry the client's clock, which firestore.rules holds to
+// within 10 minutes of the server's, so look back that far past the last recount
+const RECENT_RATINGS_LOOKBACK_SECONDS = 10 * 60;
+
+// Times a recount retries movies whose totals changed while it ran
+const MOVIE_RECOUNT_ATTEMPTS = 3;
+
+function roundRating(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * IMDb-style Bayesian average that shrinks sparsely rated movies toward the
+ * global mean: WR = (v / (v + m)) * R + (m / (v + m)) * C
+ *
+ * Returns null for unrated movies so they sort after everything else.
+ */
+function weightedRating(averageRating, ratingCount, globalMean, minVotes = WEIGHTED_RATING_MIN_VOTES) {
+  if (!ratingCount) return null;
+  const v = ratingCount;
+  const m = minVotes;
+  return roundRating((v / (v + m)) * averageRating + (m / (v + m)) * globalMean);
+}
+
+/**
+ * Mean of every rating on the platform, read from the stats document.
+ * Databases imported before the stats document existed get it created here.
+ */
+async function getGlobalMean(db) {
+  const statsCollection = db.collection('stats');
+
+  let stats = await statsCollection.findOne({ _id: GLOBAL_STATS_ID });
+
+  if (!stats) {
+    const [totals] = await db.collection('ratings').aggregate([
+      { $group: { _id: null, ratingSum: { $sum: '$rating' }, ratingCount: { $sum: 1 } } }
+    ]).toArray();
+
+    stats = {
+      ratingSum: totals ? totals.ratingSum : 0,
+      ratingCount: totals ? totals.ratingCount : 0
+    };
+    await statsCollection.updateOne(
+      { _id: GLOBAL_STATS_ID },
+      { $setOnInsert: stats },
+      { upsert: true }
+    );
+  }
+
+  return stats.ratingCount > 0 ? stats.ratingSum / stats.ratingCount : 0;
+}
+
+/**
+ * Add to the platform-wide counters: movieCount, ratingSum, ratingCount, tagCount, userCount
+ */
+async function incrementPlatformStats(db, increments) {
+  await db.collection('stats').updateOne(
+    { _id: GLOBAL_STATS_ID },
+    { $inc: increments, $set: { updatedAt: new Date() } }
+  );
+}
+
+/**
+ * Keep userCount (users with at least one rating) current after one of a
+ * user's ratings was added (countDelta 1) or removed (countDelta -1)
+ */
+async function updateRaterCount(db, userId, countDelta) {
+  if (countDelta === 0) return;
+
+  const remaining = await db.collection('ratings').countDocuments({ userId }, { limit: 2 });
+
+  if (countDelta > 0 && remaining === 1) {
+    await incrementPlatformStats(db, { userCount: 1 });
+  } else if (countDelta < 0 && remaining === 0) {
+    await incrementPlatformStats(db, { userCount: -1 });
+  }
+}
+
+/**
+ * Recount every platform-wide total from the collections and store it.
+ * Users are counted with $group rather than distinct(), whose result has to
+ * fit in a single document. Movies imported before ratingSum existed get
+ * their totals first, so reports over the catalog can rely on them.
+ */
+async function reconcilePlatformStats(db) {
+  const ratingsCollection = db.collection('ratings');
+
+  await ensureAllRatingTotals(db);
+
+  const [movieCount, tagCount, [ratingTotals], [raters]] = await Promise.all([
+    db.collection('movies').countDocuments(),
+    db.collection('tags').countDocuments(),
+    ratingsCollection.aggregate([
+      { $group: { _id: null, ratingSum: { $sum: '$rating' }, ratingCount: { $sum: 1 } } }
+    ]).toArray(),
+    ratingsCollection.aggregate([
+      { $group: { _id: '$userId' } },
+      { $count: 'userCount' }
+    ]).toArray()
+  ]);
+
+  const now = new Date();
+  const stats = {
+    movieCount,
+    ratingSum: ratingTotals ? ratingTotals.ratingSum : 0,
+    ratingCount: ratingTotals ? ratingTotals.ratingCount : 0,
+    tagCount,
+    userCount: raters ? raters.userCount : 0,
+    updatedAt: now,
+    reconciledAt: now
+  };
+
+  await db.collection('stats').updateOne(
+    { _id: GLOBAL_STATS_ID },
+    { $set: stats },
+    { upsert: true }
+  );
+
+  return { _id: GLOBAL_STATS_ID, ...stats };
+}
+
+/**
+ * The platform stats document, counting everything first if it has never
+ * been reconciled (databases imported before it held counts)
+ */
+async function getPlatformStats(db) {
+  const stats = await db.collection('stats').findOne({ _id: GLOBAL_STATS_ID });
+  if (stats && stats.reconciledAt) return stats;
+  return reconcilePlatformStats(db);
+}
+
+/**
+ * Averages derived from a movie's rating totals
+ */
+function deriveRatingStats(ratingSum, ratingCount, globalMean) {
+  return {
+    averageRating: ratingCount > 0 ? roundRating(ratingSum / ratingCount) : 0,
+    weightedRating: weightedRating(ratingCount > 0 ? ratingSum / ratingCount : 0, ratingCount, globalMean)
+  };
+}
+
+/**
+ * Give a movie imported before ratingSum existed its totals, computed from its ratings.
+ * Must run before a new rating for the movie is inserted, or that rating is counted twice.
+ */
+async function ensureRatingTotals(db, movie) {
+  if (movie.ratingSum !== undefined) return;
+
+  const [totals] = await db.collection('ratings').aggregate([
+    { $match: { movieId: movie.movieId } },
+    { $group: { _id: null, ratingSum: { $sum: '$rating' }, ratingCount: { $sum: 1 } } }
+  ]).toArray();
+
+  await db.collection('movies').updateOne(
+    { movieId: movie.movieId, ratingSum: { $exists: false } },
+    { $set: { ratingSum: totals ? totals.ratingSum : 0, ratingCount: totals ? totals.ratingCount : 0 } }
+  );
+}
+
+/**
+ * Give every movie imported before ratingSum existed its totals in one pass
+ * (see ensureRatingTotals). Only the first call on an older database has
+ * anything to do.
+ */
+async function ensureAllRatingTotals(db) {
+  const moviesCollection = db.collection('movies');
+
+  const movieIds = await moviesCollection.distinct('movieId', { ratingSum: { $exists: false } });
+  if (movieIds.length === 0) return;
+
+  const totals = await db.collection('ratings').aggregate([
+    { $match: { movieId: { $in: movieIds } } },
+    { $group: { _id: '$movieId', ratingSum: { $sum: '$rating' }, ratingCount: { $sum: 1 } } }
+  ]).toArray();
+  const totalsByMovie = new Map(totals.map(t => [t._id, t]));
+
+  await moviesCollection.bulkWrite(movieIds.map(movieId => {
+    const { ratingSum, ratingCount } = totalsByMovie.get(movieId) || { ratingSum: 0, ratingCount: 0 };
+    return {
+      updateOne: {
+        filter: { movieId, ratingSum: { $exists: false } },
+        update: { $set: { ratingSum, ratingCount } }
+      }
+    };
+  }), { ordered: false });
+}
+
+/**
+ * Apply a change in rating totals to a movie and then the platform, and
+ * refresh the movie's derived averages.
+ *
+ * The totals move with $inc, so concurrent raters never overwrite each other.
+ * The derived fields are written with a compare-and-set on the totals this
+ * call produced: if another rating lands in between, that request's own write
+ * (which saw both changes) is the one that sticks.
+ *
+ * Returns { movieId, ratingSum, ratingCount, averageRating, weightedRating }, or null
+ * without changing anything if the movie does not exist (e.g. it was deleted
+ * while the caller ran). A caller that already removed a rating still has to
+ * take it out of the platform totals, which counted it.
+ */
+async function applyRatingDelta(db, movieId, sumDelta, countDelta) {
+  const moviesCollection = db.collection('movies');
+
+  const updated = await moviesCollection.findOneAndUpdate(
+    { movieId },
+    { $inc: { ratingSum: sumDelta, ratingCount: countDelta } },
+    { returnDocument: 'after' }
+  );
+
+  if (!updated) return null;
+
+  await incrementPlatformStats(db, { ratingSum: sumDelta, ratingCount: countDelta });
+
+  const derived = deriveRatingStats(updated.ratingSum, updated.ratingCount, await getGlobalMean(db));
+
+  await moviesCollection.updateOne(
+    { movieId, ratingSum: updated.ratingSum, ratingCount: updated.ratingCount },
+    { $set: derived }
+  );
+
+  return {
+    movieId,
+    ratingSum: updated.ratingSum,
+    ratingCount: updated.ratingCount,
+    ...derived
+  };
+}
+
+/**
+ * Recount the totals of the given movies from their ratings and store those
+ * that differ. Each movie's totals are read before its ratings are summed and
+ * written back with a compare-and-set on what was read, so a rating the API
+ * applies in between ($inc) makes the write miss instead of being overwritten.
+ * Returns { changed, conflicted }, the movieIds written and those that missed.
+ */
+async function recountMovieTotals(db, movieIds) {
+  const moviesCollection = db.collection('movies');
+
+  const movies = await moviesCollection
+    .find({ movieId: { $in: movieIds } }, { projection: { movieId: 1, ratingSum: 1, ratingCount: 1 } })
+    .toArray();
+  const totals = await db.collection('ratings').aggregate([
+    { $match: { movieId: { $in: movieIds } } },
+    { $group: { _id: '$movieId', ratingSum: { $sum: '$rating' }, ratingCount: { $sum: 1 } } }
+  ]).toArray();
+  const totalsByMovie = new Map(totals.map(t => [t._id, t]));
+  const globalMean = await getGlobalMean(db);
+
+  const stale = movies.filter(movie => {
+    const actual = totalsByMovie.get(movie.movieId) || { ratingSum: 0, ratingCount: 0 };
+    return movie.ratingSum !== actual.ratingSum || movie.ratingCount !== actual.ratingCount;
+  });
+
+  const results = await Promise.all(stale.map(movie => {
+    const { ratingSum, ratingCount } = totalsByMovie.get(movie.movieId) || { ratingSum: 0, ratingCount: 0 };
+    return moviesCollection.updateOne(
+      // null also matches movies imported before the totals existed
+      { movieId: movie.movieId, ratingSum: movie.ratingSum ?? null, ratingCount: movie.ratingCount ?? null },
+      { $set: { ratingSum, ratingCount, ...deriveRatingStats(ratingSum, ratingCount, globalMean) } }
+    );
+  }));
+
+  return {
+    changed: stale.filter((movie, i) => results[i].matchedCount > 0).map(movie => movie.movieId),
+    conflicted: stale.filter((movie, i) => results[i].matchedCount === 0).map(movie => movie.movieId)
+  };
+}
+
+/**
+ * Recount the totals of movies rated since the last call (by any server),
+ * fixing those that don't match their ratings, e.g. because the ratings came
+ * from the realtime client. A movie rated through the API mid-recount is
+ * recounted again, up to MOVIE_RECOUNT_ATTEMPTS times. Returns the movieIds
+ * that changed.
+ */
+async function reconcileRecentMovieTotals(db) {
+  const statsCollection = db.collection('stats');
+
+  const startedAt = Math.floor(Date.now() / 1000);
+  const stats = await statsCollection.findOne({ _id: GLOBAL_STATS_ID }, { projection: { moviesReconciledAt: 1 } });
+  const since = (stats && stats.moviesReconciledAt ? stats.moviesReconciledAt : startedAt) - RECENT_RATINGS_LOOKBACK_SECONDS;
+
+  let pending = await db.collection('ratings').distinct('movieId', { timestamp: { $gte: since } });
+  const changed = [];
+
+  for (let attempt = 0; attempt < MOVIE_RECOUNT_ATTEMPTS && pending.length > 0; attempt++) {
+    const result = await recountMovieTotals(db, pending);
+    changed.push(...result.changed);
+    pending = result.conflicted;
+  }
+
+  await statsCollection.updateOne(
+    { _id: GLOBAL_STATS_ID },
+    { $max: { moviesReconciledAt: startedAt } },
+    { upsert: true }
+  );
+
+  return changed;
+}
+
+module.exports = {
+  WEIGHTED_RATING_MIN_VOTES,
+  GLOBAL_STATS_ID,
+  STATS_RECONCILE_INTERVAL_MINUTES,
+  MOVIE_STATS_RECONCILE_INTERVAL_SECONDS,
+  roundRating,
+  weightedRating,
+  getGlobalMean,
+  incrementPlatformStats,
+  updateRaterCount,
+  reconcilePlatformStats,
+  reconcileRecentMovieTotals,
+  getPlatformStats,
+  deriveRatingStats,
+  ensureRatingTotals,
+  applyRatingDelta
+};
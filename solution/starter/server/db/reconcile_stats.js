@@ -0,0 +1,76 @@
+// server/db/reconcile_stats.js
+// Recomputes every movie's rating totals and derived averages from the ratings
+// collection, plus the platform-wide totals. Writes keep these current
+// incrementally (and the server recounts the platform totals periodically);
+// run this to backfill older databases or repair drift: npm run reconcile:stats
+require('dotenv').config();
+
+const cliProgress = require('cli-progress');
+const { connect, close, getDb } = require('./connection');
+const { deriveRatingStats, reconcilePlatformStats } = require('./movie_stats');
+const { bumpCacheVersion } = require('./cache_version');
+
+const BATCH_SIZE = 500;
+
+async function reconcileStats() {
+  const startTime = Date.now();
+
+  try {
+    await connect();
+    const db = getDb();
+    const moviesCollection = db.collection('movies');
+
+    console.log('Aggregating ratings per movie...');
+    const totals = await db.collection('ratings').aggregate([
+      { $group: { _id: '$movieId', ratingSum: { $sum: '$rating' }, ratingCount: { $sum: 1 } } }
+    ]).toArray();
+    const totalsByMovie = new Map(totals.map(t => [t._id, t]));
+
+    console.log('Recounting platform totals...');
+    const { ratingSum, ratingCount } = await reconcilePlatformStats(db);
+    const globalMean = ratingCount > 0 ? ratingSum / ratingCount : 0;
+
+    const movieIds = await moviesCollection.distinct('movieId');
+
+    const progressBar = new cliProgress.SingleBar({
+      format: '  Movies |{bar}| {percentage}% | {value}/{total}'
+    }, cliProgress.Presets.shades_classic);
+    progressBar.start(movieIds.length, 0);
+
+    for (let i = 0; i < movieIds.length; i += BATCH_SIZE) {
+      const batch = movieIds.slice(i, i + BATCH_SIZE).map(movieId => {
+        const movieTotals = totalsByMovie.get(movieId) || { ratingSum: 0, ratingCount: 0 };
+        return {
+          updateOne: {
+            filter: { movieId },
+            update: {
+              $set: {
+                ratingSum: movieTotals.ratingSum,
+                ratingCount: movieTotals.ratingCount,
+                ...deriveRatingStats(movieTotals.ratingSum, movieTotals.ratingCount, globalMean)
+              }
+            }
+          }
+        };
+      });
+
+      await moviesCollection.bulkWrite(batch, { ordered: false });
+      progressBar.update(Math.min(i + BATCH_SIZE, movieIds.length));
+    }
+
+    progressBar.stop();
+    await bumpCacheVersion(db);
+
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+    console.log(`✓ Reconciled ${movieIds.length.toLocaleString()} movies and ${ratingCount.toLocaleString()} ratings in ${duration}s`);
+  } catch (error) {
+    console.error('\n❌ Stats reconciliation failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await close();
+  }
+}
+
+if (require.main === module) {
+  reconcileStats();
+}
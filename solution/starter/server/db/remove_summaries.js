@@ -1,6 +1,7 @@
 
 require('dotenv').config();
 const { getDb, connect, close } = require('./connection');
+const { bumpCacheVersion } = require('./cache_version');
 
 async function removeSummaries() {
   await connect();
@@ -14,7 +15,10 @@ async function removeSummaries() {
       { $unset: { summary: "" } }
     );
 
+    await bumpCacheVersion(db);
+
     console.log(`${result.modifiedCount} movies updated.`);
+    console.log('Run "npm run search:index" to remove them from search results.');
   } catch (err) {
     console.error('Error removing summaries:', err);
   } finally {
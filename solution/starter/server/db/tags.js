@@ -0,0 +1,22 @@
+// server/db/tags.js
+// Tag text normalization shared by the API and the importer. Every tag
+// document stores tagKey, its normalized lowercase text, and a unique
+// { userId, movieId, tagKey } index (see createIndexes in import.js) keeps a
+// user from applying the same tag to a movie twice, however it is cased or
+// spaced.
+
+/**
+ * Trim a tag and collapse internal whitespace to single spaces
+ */
+function normalizeTag(tag) {
+  return String(tag).trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * The form tags are compared in: normalized and lowercased
+ */
+function tagKey(tag) {
+  return normalizeTag(tag).toLowerCase();
+}
+
+module.exports = { normalizeTag, tagKey };
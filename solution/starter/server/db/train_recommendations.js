@@ -0,0 +1,230 @@
+// server/db/train_recommendations.js
+// Trains a latent-factor model on the ratings collection and stores top-N
+// recommendations per user. Run after import (and periodically): npm run train:recommendations
+require('dotenv').config();
+
+const cliProgress = require('cli-progress');
+const { connect, close, getDb } = require('./connection');
+
+// Configuration
+const FACTORS = parseInt(process.env.RECS_FACTORS || '32', 10);
+const EPOCHS = parseInt(process.env.RECS_EPOCHS || '25', 10);
+const LEARNING_RATE = parseFloat(process.env.RECS_LEARNING_RATE || '0.01');
+const REGULARIZATION = parseFloat(process.env.RECS_REGULARIZATION || '0.05');
+const TOP_N = parseInt(process.env.RECS_TOP_N || '50', 10);
+const MIN_MOVIE_RATINGS = parseInt(process.env.RECS_MIN_MOVIE_RATINGS || '5', 10);
+const BATCH_SIZE = 500;
+
+/**
+ * Small seeded PRNG so repeated runs produce the same model
+ */
+function mulberry32(seed) {
+  return function () {
+    seed |= 0;
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Load every rating as { userId, movieId, rating }
+ */
+async function loadRatings(db) {
+  console.log('Loading ratings...');
+
+  const ratings = await db.collection('ratings')
+    .find({}, { projection: { _id: 0, userId: 1, movieId: 1, rating: 1 } })
+    .toArray();
+
+  console.log(`Loaded ${ratings.length.toLocaleString()} ratings`);
+  return ratings;
+}
+
+/**
+ * Train a biased matrix factorization model with stochastic gradient descent.
+ * prediction(u, i) = globalMean + userBias[u] + movieBias[i] + userFactors[u] · movieFactors[i]
+ */
+function trainModel(ratings, {
+  factors = FACTORS,
+  epochs = EPOCHS,
+  learningRate = LEARNING_RATE,
+  regularization = REGULARIZATION,
+  seed = 42
+} = {}) {
+  const random = mulberry32(seed);
+
+  const userIndex = new Map();
+  const movieIndex = new Map();
+  const userIds = [];
+  const movieIds = [];
+
+  const samples = ratings.map(r => {
+    if (!userIndex.has(r.userId)) {
+      userIndex.set(r.userId, userIds.length);
+      userIds.push(r.userId);
+    }
+    if (!movieIndex.has(r.movieId)) {
+      movieIndex.set(r.movieId, movieIds.length);
+      movieIds.push(r.movieId);
+    }
+    return { user: userIndex.get(r.userId), movie: movieIndex.get(r.movieId), rating: r.rating };
+  });
+
+  const globalMean = samples.reduce((sum, s) => sum + s.rating, 0) / samples.length;
+  const userBias = new Float64Array(userIds.length);
+  const movieBias = new Float64Array(movieIds.length);
+  const userFactors = new Float64Array(userIds.length * factors).map(() => (random() - 0.5) * 0.1);
+  const movieFactors = new Float64Array(movieIds.length * factors).map(() => (random() - 0.5) * 0.1);
+
+  for (let epoch = 0; epoch < epochs; epoch++) {
+    // Fisher-Yates shuffle so updates don't follow import order
+    for (let i = samples.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [samples[i], samples[j]] = [samples[j], samples[i]];
+    }
+
+    let squaredError = 0;
+    for (const { user, movie, rating } of samples) {
+      const u = user * factors;
+      const m = movie * factors;
+
+      let prediction = globalMean + userBias[user] + movieBias[movie];
+      for (let f = 0; f < factors; f++) {
+        prediction += userFactors[u + f] * movieFactors[m + f];
+      }
+
+      const error = rating - prediction;
+      squaredError += error * error;
+
+      userBias[user] += learningRate * (error - regularization * userBias[user]);
+      movieBias[movie] += learningRate * (error - regularization * movieBias[movie]);
+
+      for (let f = 0; f < factors; f++) {
+        const pu = userFactors[u + f];
+        const qi = movieFactors[m + f];
+        userFactors[u + f] += learningRate * (error * qi - regularization * pu);
+        movieFactors[m + f] += learningRate * (error * pu - regularization * qi);
+      }
+    }
+
+    console.log(`  Epoch ${epoch + 1}/${epochs} - training RMSE ${Math.sqrt(squaredError / samples.length).toFixed(4)}`);
+  }
+
+  return { factors, globalMean, userIds, movieIds, userIndex, movieIndex, userBias, movieBias, userFactors, movieFactors };
+}
+
+/**
+ * Score every eligible movie for every user and keep the top N unrated ones.
+ * Returns a Map of userId -> [{ movieId, score }]
+ */
+function recommendAll(model, ratings, { topN = TOP_N, minMovieRatings = MIN_MOVIE_RATINGS } = {}) {
+  const { factors, globalMean, userIds, movieIds, userIndex, movieIndex, userBias, movieBias, userFactors, movieFactors } = model;
+
+  // Only recommend movies with enough ratings to have meaningful factors
+  const movieRatingCounts = new Int32Array(movieIds.length);
+  const ratedByUser = userIds.map(() => new Set());
+  ratings.forEach(r => {
+    const movie = movieIndex.get(r.movieId);
+    movieRatingCounts[movie] += 1;
+    ratedByUser[userIndex.get(r.userId)].add(movie);
+  });
+
+  const candidates = [];
+  for (let movie = 0; movie < movieIds.length; movie++) {
+    if (movieRatingCounts[movie] >= minMovieRatings) candidates.push(movie);
+  }
+
+  const result = new Map();
+  userIds.forEach((userId, user) => {
+    const u = user * factors;
+    const scored = [];
+
+    for (const movie of candidates) {
+      if (ratedByUser[user].has(movie)) continue;
+
+      const m = movie * factors;
+      let score = globalMean + userBias[user] + movieBias[movie];
+      for (let f = 0; f < factors; f++) {
+        score += userFactors[u + f] * movieFactors[m + f];
+      }
+      scored.push({ movieId: movieIds[movie], score });
+    }
+
+    scored.sort((a, b) => b.score - a.score);
+    result.set(userId, scored.slice(0, topN).map(s => ({
+      movieId: s.movieId,
+      score: Math.round(s.score * 1000) / 1000
+    })));
+  });
+
+  return result;
+}
+
+/**
+ * Store recommendations in the recommendations collection, replacing previous results
+ */
+async function saveRecommendations(db, recommendationsByUser) {
+  const recommendationsCollection = db.collection('recommendations');
+  const computedAt = new Date();
+
+  await recommendationsCollection.createIndex({ userId: 1 }, { unique: true });
+
+  const progressBar = new cliProgress.SingleBar({
+    format: '  Recommendations |{bar}| {percentage}% | {value}/{total}'
+  }, cliProgress.Presets.shades_classic);
+  progressBar.start(recommendationsByUser.size, 0);
+
+  const entries = [...recommendationsByUser.entries()];
+  for (let i = 0; i < entries.length; i += BATCH_SIZE) {
+    const batch = entries.slice(i, i + BATCH_SIZE).map(([userId, recommendations]) => ({
+      replaceOne: {
+        filter: { userId },
+        replacement: { userId, recommendations, computedAt },
+        upsert: true
+      }
+    }));
+
+    await recommendationsCollection.bulkWrite(batch, { ordered: false });
+    progressBar.update(Math.min(i + BATCH_SIZE, entries.length));
+  }
+
+  progressBar.stop();
+
+  // Users whose ratings were all removed keep no stale recommendations
+  await recommendationsCollection.deleteMany({ computedAt: { $lt: computedAt } });
+}
+
+async function trainRecommendations() {
+  const startTime = Date.now();
+
+  try {
+    await connect();
+    const db = getDb();
+
+    const ratings = await loadRatings(db);
+
+    console.log(`Training model (${FACTORS} factors, ${EPOCHS} epochs)...`);
+    const model = trainModel(ratings);
+
+    console.log('Scoring movies for each user...');
+    const recommendationsByUser = recommendAll(model, ratings);
+
+    await saveRecommendations(db, recommendationsByUser);
+
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+    console.log(`✓ Recommendations stored for ${recommendationsByUser.size.toLocaleString()} users in ${duration}s`);
+  } catch (error) {
+    console.error('\n❌ Recommendation training failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await close();
+  }
+}
+
+if (require.main === module) {
+  trainRecommendations();
+}
+
+module.exports = { trainModel, recommendAll };
@@ -2,6 +2,7 @@
 const fs = require('fs');
 const { parse } = require('csv-parse');
 const { getDb, connect, close } = require('./connection');
+const { bumpCacheVersion } = require('./cache_version');
 const cliProgress = require('cli-progress');
 
 const BATCH_SIZE = 500;
@@ -46,7 +47,9 @@ async function updateSummaries() {
   }
 
   progressBar.stop();
+  await bumpCacheVersion(db);
   console.log('Successfully updated all movie documents with summaries.');
+  console.log('Run "npm run search:index" to make the new summaries searchable.');
   await close();
 }
 
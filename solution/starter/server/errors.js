@@ -0,0 +1,180 @@
+// server/errors.js
+// Errors the API reports to clients. Each carries an HTTP status and a stable
+// machine-readable code, and is sent as RFC 7807 problem+json by the error
+// handler in server/app.js:
+//
+//   {
+//     "type": "urn:cymbalflix:error:MOVIE_NOT_FOUND",
+//     "title": "Not found",
+//     "status": 404,
+//     "detail": "Movie not found",
+//     "code": "MOVIE_NOT_FOUND",
+//     "instance": "/api/movies/999999",
+//     "requestId": "4f0c..."
+//   }
+//
+// Anything else thrown in a route is reported as INTERNAL_ERROR without its
+// message, which can hold driver or query details.
+
+class ApiError extends Error {
+  constructor(message, { status = 500, code = 'INTERNAL_ERROR', title = 'Internal server error', errors } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.title = title;
+    this.errors = errors;
+  }
+}
+
+/**
+ * The request is malformed or fails validation (400)
+ */
+class ValidationError extends ApiError {
+  constructor(message, { code = 'VALIDATION_FAILED', errors } = {}) {
+    super(message, { status: 400, code, title: 'Invalid request', errors });
+  }
+}
+
+/**
+ * The request needs a signed-in user (401)
+ */
+class UnauthorizedError extends ApiError {
+  constructor(message = 'You need to log in to do that', code = 'AUTH_REQUIRED') {
+    super(message, { status: 401, code, title: 'Unauthorized' });
+  }
+}
+
+/**
+ * The signed-in user may not do this (403)
+ */
+class ForbiddenError extends ApiError {
+  constructor(message, code = 'FORBIDDEN') {
+    super(message, { status: 403, code, title: 'Forbidden' });
+  }
+}
+
+/**
+ * The requested resource does not exist (404)
+ */
+class NotFoundError extends ApiError {
+  constructor(message, code = 'NOT_FOUND') {
+    super(message, { status: 404, code, title: 'Not found' });
+  }
+}
+
+/**
+ * The request conflicts with existing data (409)
+ */
+class ConflictError extends ApiError {
+  constructor(message, code = 'CONFLICT') {
+    super(message, { status: 409, code, title: 'Conflict' });
+  }
+}
+
+/**
+ * The database could not be reached (503); the client may retry
+ */
+class DatabaseUnavailableError extends ApiError {
+  constructor(message = 'The database is temporarily unavailable. Please try again shortly.') {
+    super(message, { status: 503, code: 'DATABASE_UNAVAILABLE', title: 'Service unavailable' });
+  }
+}
+
+/**
+ * The client sent too many requests (429); retryAfter is in seconds
+ */
+class RateLimitedError extends ApiError {
+  constructor(retryAfter, message = 'Too many requests. Please slow down.') {
+    super(message, { status: 429, code: 'RATE_LIMITED', title: 'Too many requests' });
+    this.retryAfter = retryAfter;
+  }
+}
+
+// MongoDB driver errors meaning the server is unreachable, not that the query is wrong
+const DATABASE_UNAVAILABLE_ERRORS = new Set([
+  'MongoNetworkError',
+  'MongoNetworkTimeoutError',
+  'MongoServerSelectionError',
+  'MongoNotConnectedError',
+  'MongoTopologyClosedError'
+]);
+
+/**
+ * Convert anything thrown while handling a request into an ApiError
+ */
+function toApiError(err) {
+  if (err instanceof ApiError) {
+    return err;
+  }
+
+  // Thrown by express.json() for unparseable or oversized bodies
+  if (err.type === 'entity.parse.failed') {
+    return new ValidationError('Request body is not valid JSON', { code: 'MALFORMED_JSON' });
+  }
+  if (err.type === 'entity.too.large') {
+    return new ApiError('Request body is too large', { status: 413, code: 'PAYLOAD_TOO_LARGE', title: 'Payload too large' });
+  }
+
+  if (DATABASE_UNAVAILABLE_ERRORS.has(err.name) || (err.message || '').startsWith('Database not connected')) {
+    return new DatabaseUnavailableError();
+  }
+
+  // Unique index violation, e.g. a write racing another for the same key
+  if (err.code === 11000) {
+    return new ConflictError('The change conflicts with existing data', 'DUPLICATE_KEY');
+  }
+
+  return new ApiError('Something went wrong on our side. Please try again.');
+}
+
+/**
+ * RFC 7807 problem details for an ApiError
+ */
+function toProblem(error, req) {
+  const problem = {
+    type: `urn:cymbalflix:error:${error.code}`,
+    title: error.title,
+    status: error.status,
+    detail: error.message,
+    code: error.code,
+    instance: req.originalUrl,
+    requestId: req.id
+  };
+
+  if (error.errors) {
+    problem.errors = error.errors;
+  }
+  if (error.retryAfter !== undefined) {
+    problem.retryAfter = error.retryAfter;
+  }
+
+  return problem;
+}
+
+/**
+ * Send an error as application/problem+json
+ */
+function sendProblem(req, res, error) {
+  if (error.retryAfter !== undefined) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+
+  res
+    .status(error.status)
+    .type('application/problem+json')
+    .send(JSON.stringify(toProblem(error, req)));
+}
+
+module.exports = {
+  ApiError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  DatabaseUnavailableError,
+  RateLimitedError,
+  toApiError,
+  sendProblem
+};
@@ -0,0 +1,182 @@
+// server/middleware/auth.js
+// Identifies the user behind a request and exposes them as req.user
+// ({ accountId, userId, email, firebaseUid? }). Write routes use requireAuth
+// and take the userId from req.user, never from the request body.
+//
+// Two kinds of credential lead to the same account (see server/db/accounts.js):
+// - A session cookie from /api/auth/login. It is HttpOnly and SameSite=Lax,
+//   so scripts can't read it and other sites can't send it with their POST or
+//   DELETE requests.
+// - A Firebase Auth ID token in "Authorization: Bearer <token>", as used by
+//   the realtime client. With FIREBASE_AUTH_EMULATOR_HOST set, tokens from the
+//   local Auth emulator are accepted instead of real ones. Anonymous Firebase
+//   users only get an account once they claim one with POST /api/auth/firebase
+//   (a write, so rate limited as one); until then they are signed out as far
+//   as the API is concerned, and req.firebaseToken holds their verified token.
+//
+// Admin routes additionally use requireRole, which checks the account's roles.
+const { initializeApp, getApps } = require('firebase-admin/app');
+const { getAuth } = require('firebase-admin/auth');
+const { getDb } = require('../db/connection');
+const {
+  SESSION_TTL_DAYS,
+  findSession,
+  findFirebaseAccount,
+  findOrCreateFirebaseAccount,
+  getAccountRoles
+} = require('../db/accounts');
+const { ApiError, UnauthorizedError, ForbiddenError } = require('../errors');
+
+const SESSION_COOKIE = 'cymbalflix_session';
+
+/**
+ * Firebase Admin Auth for the project in PROJECT_ID, initialized on first use
+ */
+function getFirebaseAuth() {
+  if (getApps().length === 0) {
+    const projectId = process.env.PROJECT_ID || process.env.GOOGLE_CLOUD_PROJECT;
+    if (!projectId) {
+      throw new ApiError('Firebase is not configured on this server', { code: 'FIREBASE_NOT_CONFIGURED' });
+    }
+    initializeApp({ projectId });
+  }
+  return getAuth();
+}
+
+/**
+ * Verify a Firebase ID token, returning its decoded claims
+ */
+async function verifyIdToken(idToken) {
+  try {
+    return await getFirebaseAuth().verifyIdToken(idToken);
+  } catch (error) {
+    // auth/* codes mean the token itself is bad; anything else (e.g. fetching keys) is ours
+    if (error.code && error.code.startsWith('auth/')) {
+      throw new UnauthorizedError('The sign-in token is invalid or has expired', 'INVALID_TOKEN');
+    }
+    throw error;
+  }
+}
+
+function isAnonymous(decoded) {
+  return Boolean(decoded.firebase) && decoded.firebase.sign_in_provider === 'anonymous';
+}
+
+/**
+ * The user for a verified Firebase ID token, linking it to an account on
+ * first use. Anonymous users are only given an account (and with it a
+ * userId) when create is set; otherwise they get null until they have one.
+ */
+async function userFromFirebaseToken(decoded, { create = !isAnonymous(decoded) } = {}) {
+  const db = getDb();
+  const account = create
+    ? await findOrCreateFirebaseAccount(db, decoded, getFirebaseAuth())
+    : await findFirebaseAccount(db, decoded.uid);
+
+  if (!account) return null;
+  return {
+    accountId: account._id,
+    userId: account.userId,
+    email: account.email || null,
+    firebaseUid: decoded.uid
+  };
+}
+
+/**
+ * Read one cookie from the Cookie header
+ */
+function readCookie(req, name) {
+  const header = req.get('Cookie');
+  if (!header) return null;
+
+  for (const part of header.split(';')) {
+    const separator = part.indexOf('=');
+    if (separator !== -1 && part.slice(0, separator).trim() === name) {
+      return decodeURIComponent(part.slice(separator + 1).trim());
+    }
+  }
+  return null;
+}
+
+function setSessionCookie(res, token) {
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    maxAge: SESSION_TTL_DAYS * 24 * 60 * 60 * 1000,
+    path: '/'
+  });
+}
+
+function clearSessionCookie(res) {
+  res.clearCookie(SESSION_COOKIE, { path: '/' });
+}
+
+/**
+ * Middleware setting req.user from a Bearer ID token or the session cookie.
+ * A Bearer token that fails verification is an error rather than a signed-out request.
+ */
+async function loadUser(req, res, next) {
+  const authorization = req.get('Authorization');
+  if (authorization && authorization.startsWith('Bearer ')) {
+    try {
+      req.firebaseToken = await verifyIdToken(authorization.slice('Bearer '.length).trim());
+      req.user = (await userFromFirebaseToken(req.firebaseToken)) || undefined;
+      return next();
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  const token = readCookie(req, SESSION_COOKIE);
+  if (!token) return next();
+
+  try {
+    const session = await findSession(getDb(), token);
+    if (session) {
+      req.sessionToken = token;
+      req.user = { accountId: session.accountId, userId: session.userId, email: session.email };
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Middleware rejecting requests without a signed-in user
+ */
+function requireAuth(req, res, next) {
+  next(req.user ? undefined : new UnauthorizedError());
+}
+
+/**
+ * Middleware rejecting requests unless the signed-in user holds one of the
+ * given roles. The admin role passes every check.
+ */
+function requireRole(...roles) {
+  return async (req, res, next) => {
+    if (!req.user) return next(new UnauthorizedError());
+
+    try {
+      const granted = await getAccountRoles(getDb(), req.user.accountId);
+      if (!granted.includes('admin') && !roles.some(role => granted.includes(role))) {
+        throw new ForbiddenError(`This needs the ${roles.join(' or ')} role`, 'INSUFFICIENT_ROLE');
+      }
+      req.user.roles = granted;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  setSessionCookie,
+  clearSessionCookie,
+  loadUser,
+  userFromFirebaseToken,
+  requireAuth,
+  requireRole
+};
@@ -0,0 +1,242 @@
+// server/middleware/cache.js
+// In-process response cache for read-heavy API routes.
+//
+// Cached responses are kept in a small LRU keyed by URL and labelled with
+// tags (e.g. "movies", "movie:1"). Write routes call invalidateSharedCache()
+// with the tags they affect, which drops them here and records them in the
+// database; other servers poll for those records and drop the same tags, and
+// clear everything when a script bumps the cache version (see
+// server/db/cache_version.js). Other servers can therefore serve a response
+// from before a write for up to CACHE_VERSION_POLL_SECONDS. Responses carry an
+// ETag so browsers revalidate with If-None-Match and get a 304 when nothing
+// changed.
+const crypto = require('crypto');
+const {
+  getCacheVersion,
+  recordInvalidation,
+  findInvalidationsSince,
+  pruneInvalidations
+} = require('../db/cache_version');
+
+const CACHE_MAX_ENTRIES = parseInt(process.env.CACHE_MAX_ENTRIES || '500', 10);
+const CACHE_VERSION_POLL_SECONDS = parseInt(process.env.CACHE_VERSION_POLL_SECONDS || '30', 10);
+
+// Each check also rereads this far before the previous one, so records from a
+// server whose clock runs slightly behind are not missed
+const INVALIDATION_CLOCK_SKEW_MS = 60 * 1000;
+
+// Records older than this have reached every server and are deleted
+const INVALIDATION_RETENTION_MS = 10 * 60 * 1000;
+
+// Map iteration order is insertion order, so the first key is the least recently used
+const entries = new Map();
+let knownVersion = null;
+let lastCheckedAt = null;
+let lastPrunedAt = 0;
+
+// createdAt of the invalidation records already applied here, by _id, for the
+// overlap between one check and the next
+const appliedInvalidations = new Map();
+
+// Bumped on every invalidation so a response computed before a write is not
+// stored after it
+let generation = 0;
+
+// { tags, listener } for other in-memory caches that follow some tags
+const invalidationListeners = [];
+
+function getEntry(key) {
+  const entry = entries.get(key);
+  if (!entry) return null;
+
+  if (Date.now() > entry.expiresAt) {
+    entries.delete(key);
+    return null;
+  }
+
+  // Move to the most recently used end
+  entries.delete(key);
+  entries.set(key, entry);
+  return entry;
+}
+
+function setEntry(key, entry) {
+  entries.delete(key);
+  entries.set(key, entry);
+
+  while (entries.size > CACHE_MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+  }
+}
+
+/**
+ * Drop cached responses carrying any of the given tags
+ */
+function invalidateCache(tags) {
+  generation += 1;
+  for (const [key, entry] of entries) {
+    if (entry.tags.some(tag => tags.includes(tag))) {
+      entries.delete(key);
+    }
+  }
+
+  invalidationListeners
+    .filter(({ tags: followed }) => followed.some(tag => tags.includes(tag)))
+    .forEach(({ listener }) => listener());
+}
+
+/**
+ * Drop cached responses carrying any of the given tags on this server, and
+ * have every other server drop them at its next check
+ */
+async function invalidateSharedCache(db, tags) {
+  invalidateCache(tags);
+  const invalidation = await recordInvalidation(db, tags);
+  appliedInvalidations.set(String(invalidation._id), invalidation.createdAt);
+}
+
+/**
+ * Cached responses affected by a change to a movie's ratings or tags: its
+ * detail page, every listing (ordering and search can shift) and the stats
+ */
+function movieCacheTags(movieId) {
+  return ['movies', `movie:${movieId}`, 'stats'];
+}
+
+/**
+ * Drop every cached response
+ */
+function clearCache() {
+  generation += 1;
+  entries.clear();
+  invalidationListeners.forEach(({ listener }) => listener());
+}
+
+/**
+ * Call listener whenever any of the given tags is invalidated, here or by
+ * another server, and whenever the whole cache is cleared
+ */
+function onCacheInvalidated(tags, listener) {
+  invalidationListeners.push({ tags, listener });
+}
+
+/**
+ * Cache successful JSON responses of a GET route.
+ *
+ * Options:
+ * - tags: function (req) returning the tags to file the response under
+ * - ttlSeconds: how long to keep the response at most (default: 300)
+ * - maxAge: seconds browsers may reuse it without revalidating (default: 0)
+ */
+function cacheResponse({ tags, ttlSeconds = 300, maxAge = 0 }) {
+  const cacheControl = maxAge > 0 ? `public, max-age=${maxAge}` : 'no-cache';
+
+  return (req, res, next) => {
+    const key = req.originalUrl;
+    const cached = getEntry(key);
+
+    res.set('Cache-Control', cacheControl);
+
+    if (cached) {
+      res.set('X-Cache', 'HIT');
+      res.set('ETag', cached.etag);
+      res.type('json');
+      // res.send answers 304 itself when If-None-Match matches the ETag
+      return res.send(cached.body);
+    }
+
+    res.set('X-Cache', 'MISS');
+    const startedAt = generation;
+    const sendJson = res.json.bind(res);
+    res.json = (data) => {
+      if (res.statusCode !== 200) {
+        return sendJson(data);
+      }
+
+      const body = JSON.stringify(data);
+      const etag = `W/"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+      if (generation === startedAt) {
+        setEntry(key, {
+          body,
+          etag,
+          tags: tags(req),
+          expiresAt: Date.now() + ttlSeconds * 1000
+        });
+      }
+
+      res.set('ETag', etag);
+      res.type('json');
+      return res.send(body);
+    };
+
+    next();
+  };
+}
+
+/**
+ * Drop the tags other servers invalidated since the last check, and forget
+ * records that the next check can no longer return
+ */
+async function applySharedInvalidations(db, checkedAt) {
+  const since = new Date((lastCheckedAt || checkedAt) - INVALIDATION_CLOCK_SKEW_MS);
+  const tags = new Set();
+
+  for (const invalidation of await findInvalidationsSince(db, since)) {
+    const id = String(invalidation._id);
+    if (!appliedInvalidations.has(id)) {
+      appliedInvalidations.set(id, invalidation.createdAt);
+      invalidation.tags.forEach(tag => tags.add(tag));
+    }
+  }
+
+  if (tags.size > 0) {
+    invalidateCache([...tags]);
+  }
+
+  for (const [id, createdAt] of appliedInvalidations) {
+    if (createdAt <= since) {
+      appliedInvalidations.delete(id);
+    }
+  }
+  lastCheckedAt = checkedAt;
+
+  if (checkedAt - lastPrunedAt > INVALIDATION_RETENTION_MS) {
+    lastPrunedAt = checkedAt.getTime();
+    await pruneInvalidations(db, new Date(checkedAt - INVALIDATION_RETENTION_MS));
+  }
+}
+
+/**
+ * Poll the database for invalidations from other servers, and clear the cache
+ * when a script has bumped the cache version
+ */
+function startCacheVersionPolling(db) {
+  const check = async () => {
+    try {
+      const checkedAt = new Date();
+      const version = await getCacheVersion(db);
+      if (knownVersion !== null && version !== knownVersion) {
+        clearCache();
+      }
+      knownVersion = version;
+
+      await applySharedInvalidations(db, checkedAt);
+    } catch (error) {
+      console.error('Cache version check failed:', error);
+    }
+  };
+
+  check();
+  const timer = setInterval(check, CACHE_VERSION_POLL_SECONDS * 1000);
+  timer.unref();
+}
+
+module.exports = {
+  cacheResponse,
+  invalidateCache,
+  invalidateSharedCache,
+  movieCacheTags,
+  clearCache,
+  onCacheInvalidated,
+  startCacheVersionPolling
+};
@@ -0,0 +1,250 @@
+// server/middleware/rate_limit.js
+// Token-bucket rate limiting for the API, in two stages:
+// - byIp runs before the request's credentials are checked and limits each
+//   client IP to RATE_LIMIT_IP_MULTIPLIER times the per-user budget. Floods
+//   of requests with bogus tokens or cookies stop here, before they cost a
+//   token verification or database lookup, while many users behind one
+//   address (e.g. NAT) still fit.
+// - byUser runs once req.user is set and limits each signed-in user to the
+//   per-user budget, and each IP's signed-out requests to the same budget.
+//   Switching addresses doesn't get a user around it, and sharing one doesn't
+//   let a user exhaust it for others.
+//
+// Reads (GET, HEAD, OPTIONS) and writes draw from separate buckets with their
+// own budgets. A bucket holds up to `burst` tokens and refills at `perMinute`
+// tokens a minute; each request takes one, and a request finding an empty
+// bucket gets a 429 with Retry-After. A request byUser turns away gets its
+// byIp token back, so a throttled user doesn't drain their address's budget.
+//
+// Buckets live in memory by default, which limits each server instance on its
+// own. Set RATE_LIMIT_REDIS_URL to share them between instances through Redis
+// or anything speaking its protocol (Valkey, a local stand-in for development).
+const Redis = require('ioredis');
+const { RateLimitedError } = require('../errors');
+
+const RATE_LIMIT_ENABLED = process.env.RATE_LIMIT_ENABLED !== 'false';
+const RATE_LIMIT_REDIS_URL = process.env.RATE_LIMIT_REDIS_URL || null;
+
+// How many times the per-user budget each IP gets before credentials are checked
+const RATE_LIMIT_IP_MULTIPLIER = parseFloat(process.env.RATE_LIMIT_IP_MULTIPLIER || '10');
+
+const DEFAULT_BUDGETS = {
+  read: {
+    perMinute: parseInt(process.env.RATE_LIMIT_READ_PER_MINUTE || '300', 10),
+    burst: parseInt(process.env.RATE_LIMIT_READ_BURST || '60', 10)
+  },
+  write: {
+    perMinute: parseInt(process.env.RATE_LIMIT_WRITE_PER_MINUTE || '30', 10),
+    burst: parseInt(process.env.RATE_LIMIT_WRITE_BURST || '10', 10)
+  }
+};
+
+const READ_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+// How often to forget buckets that have refilled; a full bucket is the same as none
+const MEMORY_SWEEP_INTERVAL_SECONDS = 60;
+
+/**
+ * Buckets held in this process
+ */
+class MemoryStore {
+  constructor() {
+    this.buckets = new Map();
+
+    const timer = setInterval(() => this.sweep(), MEMORY_SWEEP_INTERVAL_SECONDS * 1000);
+    timer.unref();
+  }
+
+  /**
+   * Take a token from a bucket. Returns { allowed, tokens } with the tokens
+   * left afterwards.
+   */
+  async take(key, bucket) {
+    return this.adjust(key, bucket, 1);
+  }
+
+  /**
+   * Return a token taken for a request that was turned away elsewhere
+   */
+  async give(key, bucket) {
+    return this.adjust(key, bucket, -1);
+  }
+
+  // Refill, then remove cost tokens if there are that many (a negative cost adds them)
+  adjust(key, { capacity, refillPerMs, now }, cost) {
+    const bucket = this.buckets.get(key);
+    let tokens = bucket
+      ? Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs)
+      : capacity;
+
+    const allowed = tokens >= cost;
+    if (allowed) tokens = Math.min(capacity, tokens - cost);
+
+    this.buckets.set(key, { tokens, updatedAt: now, fullAt: now + (capacity - tokens) / refillPerMs });
+    return { allowed, tokens };
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.fullAt <= now) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+}
+
+// Refill and take (or give back, with a negative cost) in one step, so
+// concurrent requests on different servers can't both spend the last token.
+// Returns [allowed (0 or 1), tokens left]; tokens goes back as a string
+// because Lua numbers are truncated to integers on the way out.
+const ADJUST_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local refillPerMs = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local cost = tonumber(ARGV[4])
+
+local bucket = redis.call('HMGET', KEYS[1], 'tokens', 'updatedAt')
+local tokens = tonumber(bucket[1])
+local updatedAt = tonumber(bucket[2])
+if tokens and updatedAt then
+  tokens = math.min(capacity, tokens + (now - updatedAt) * refillPerMs)
+else
+  tokens = capacity
+end
+
+local allowed = 0
+if tokens >= cost then
+  tokens = math.min(capacity, tokens - cost)
+  allowed = 1
+end
+
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updatedAt', tostring(now))
+redis.call('PEXPIRE', KEYS[1], math.ceil((capacity - tokens) / refillPerMs) + 1000)
+return { allowed, tostring(tokens) }
+`;
+
+/**
+ * Buckets shared through Redis. client is an ioredis client, or anything
+ * with the same eval(script, numKeys, ...keysAndArgs) method.
+ */
+class RedisStore {
+  constructor(client, { prefix = 'cymbalflix:ratelimit:' } = {}) {
+    this.client = client;
+    this.prefix = prefix;
+  }
+
+  async take(key, bucket) {
+    return this.adjust(key, bucket, 1);
+  }
+
+  async give(key, bucket) {
+    return this.adjust(key, bucket, -1);
+  }
+
+  async adjust(key, { capacity, refillPerMs, now }, cost) {
+    const [allowed, tokens] = await this.client.eval(
+      ADJUST_SCRIPT, 1, this.prefix + key, capacity, refillPerMs, now, cost
+    );
+    return { allowed: allowed === 1, tokens: parseFloat(tokens) };
+  }
+}
+
+/**
+ * Rate limiting middleware, as { byIp, byUser }. Mount byIp before the
+ * middleware that sets req.user and byUser after it.
+ *
+ * Options:
+ * - store: where buckets live (default: a new MemoryStore)
+ * - budgets: per-user { read, write }, each { perMinute, burst } (default: from RATE_LIMIT_* env)
+ * - ipMultiplier: how many times the per-user budget byIp allows each IP (default: RATE_LIMIT_IP_MULTIPLIER)
+ * - clock: returns the time in milliseconds (default: Date.now)
+ */
+function createRateLimiter({
+  store = new MemoryStore(),
+  budgets = DEFAULT_BUDGETS,
+  ipMultiplier = RATE_LIMIT_IP_MULTIPLIER,
+  clock = Date.now
+} = {}) {
+  function bucketFor(req, multiplier = 1) {
+    const kind = READ_METHODS.has(req.method) ? 'read' : 'write';
+    const { perMinute, burst } = budgets[kind];
+    return {
+      kind,
+      bucket: { capacity: burst * multiplier, refillPerMs: perMinute * multiplier / 60000, now: clock() }
+    };
+  }
+
+  // Wait until the bucket has a whole token again
+  function rateLimited(tokens, { refillPerMs }) {
+    const retryAfter = Math.ceil((1 - tokens) / refillPerMs / 1000);
+    return new RateLimitedError(Math.max(1, retryAfter));
+  }
+
+  async function byIp(req, res, next) {
+    const { kind, bucket } = bucketFor(req, ipMultiplier);
+    const key = `ip:${req.ip}:${kind}`;
+
+    let result;
+    try {
+      result = await store.take(key, bucket);
+    } catch (error) {
+      // An unreachable store shouldn't take the API down with it
+      console.error('Rate limit store failed; allowing request:', error.message);
+      return next();
+    }
+
+    if (!result.allowed) {
+      return next(rateLimited(result.tokens, bucket));
+    }
+
+    req.rateLimitIpToken = { key, bucket };
+    next();
+  }
+
+  async function byUser(req, res, next) {
+    const { kind, bucket } = bucketFor(req);
+    const key = req.user ? `user:${req.user.userId}:${kind}` : `anon:${req.ip}:${kind}`;
+
+    let result;
+    try {
+      result = await store.take(key, bucket);
+      if (!result.allowed && req.rateLimitIpToken) {
+        await store.give(req.rateLimitIpToken.key, req.rateLimitIpToken.bucket);
+      }
+    } catch (error) {
+      console.error('Rate limit store failed; allowing request:', error.message);
+      return next();
+    }
+
+    res.set('RateLimit-Remaining', String(Math.floor(result.tokens)));
+    next(result.allowed ? undefined : rateLimited(result.tokens, bucket));
+  }
+
+  return { byIp, byUser };
+}
+
+/**
+ * The app's rate limiter, configured from the environment, as { byIp, byUser }
+ */
+function rateLimit() {
+  if (!RATE_LIMIT_ENABLED) {
+    const allow = (req, res, next) => next();
+    return { byIp: allow, byUser: allow };
+  }
+
+  if (RATE_LIMIT_REDIS_URL) {
+    const client = new Redis(RATE_LIMIT_REDIS_URL, { enableOfflineQueue: false, maxRetriesPerRequest: 1 });
+    client.on('error', error => console.error('Rate limit Redis error:', error.message));
+    return createRateLimiter({ store: new RedisStore(client) });
+  }
+
+  return createRateLimiter();
+}
+
+module.exports = {
+  MemoryStore,
+  RedisStore,
+  createRateLimiter,
+  rateLimit
+};
@@ -0,0 +1,16 @@
+// server/middleware/request_id.js
+// Gives every request an ID, returned in the X-Request-Id header and in error
+// responses, and printed with server-side error logs so a user's report can be
+// matched to the log entry. An ID sent by a proxy or load balancer is reused.
+const crypto = require('crypto');
+
+const INCOMING_ID_PATTERN = /^[A-Za-z0-9._-]{8,128}$/;
+
+function requestId(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && INCOMING_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+}
+
+module.exports = { requestId };
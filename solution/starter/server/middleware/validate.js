@@ -0,0 +1,137 @@
+// server/middleware/validate.js
+// Checks path parameters, query parameters and JSON bodies against the
+// operation's schemas in server/openapi.js before the route handler runs.
+//
+// Validation works on a copy of the request. When it passes, the copy replaces
+// req.params, req.query and req.body, so handlers receive numbers and booleans
+// as the spec types them, array query parameters as arrays, and schema
+// defaults for anything the client left out. Only path and query parameters,
+// which always arrive as strings, are coerced; JSON bodies must already carry
+// the right types, so {"rating": true} is rejected rather than read as 1.
+const Ajv = require('ajv');
+const spec = require('../openapi');
+const { ValidationError } = require('../errors');
+
+const parametersAjv = new Ajv({ allErrors: true, coerceTypes: 'array', useDefaults: true, strict: false });
+const bodyAjv = new Ajv({ allErrors: true, useDefaults: true, strict: false });
+
+const LOCATIONS = { path: 'params', query: 'query' };
+
+/**
+ * Find an operation in the spec by operationId
+ */
+function findOperation(operationId) {
+  for (const pathItem of Object.values(spec.paths)) {
+    for (const operation of Object.values(pathItem)) {
+      if (operation.operationId === operationId) return operation;
+    }
+  }
+  return null;
+}
+
+/**
+ * Combine an operation's parameters into one JSON schema over { params, query }
+ */
+function parametersSchema(operation) {
+  const schema = {
+    type: 'object',
+    properties: {
+      params: { type: 'object', properties: {}, required: [] },
+      query: { type: 'object', properties: {}, required: [] }
+    }
+  };
+
+  (operation.parameters || []).forEach(param => {
+    const location = schema.properties[LOCATIONS[param.in]];
+    location.properties[param.name] = param.schema;
+    if (param.required) location.required.push(param.name);
+  });
+
+  return schema;
+}
+
+/**
+ * JSON schema over { body } for an operation's request body
+ */
+function bodySchema(operation) {
+  return {
+    type: 'object',
+    properties: { body: operation.requestBody.content['application/json'].schema },
+    required: ['body']
+  };
+}
+
+/**
+ * Turn an Ajv error into { location, field, message }
+ */
+function describeError(error) {
+  const [, section, ...path] = error.instancePath.split('/');
+  const field = error.keyword === 'required'
+    ? [...path, error.params.missingProperty].join('.')
+    : path.join('.');
+  let message = error.message;
+
+  if (error.keyword === 'required') {
+    message = 'is required';
+  } else if (error.keyword === 'enum') {
+    message = `must be one of: ${error.params.allowedValues.join(', ')}`;
+  } else if (error.keyword === 'pattern') {
+    message = 'is not in a valid format';
+  }
+
+  return {
+    location: section === 'params' ? 'path' : section || 'body',
+    field,
+    message
+  };
+}
+
+/**
+ * Middleware validating a request against the named operation in server/openapi.js.
+ * Fails with a ValidationError whose errors list every problem found.
+ */
+function validate(operationId) {
+  const operation = findOperation(operationId);
+  if (!operation) {
+    throw new Error(`Unknown operationId: ${operationId}`);
+  }
+
+  const checkParameters = parametersAjv.compile(parametersSchema(operation));
+  const checkBody = operation.requestBody ? bodyAjv.compile(bodySchema(operation)) : null;
+
+  // Array query parameters accept "a,b" as well as ?x=a&x=b
+  const arrayParams = (operation.parameters || [])
+    .filter(param => param.in === 'query' && param.schema.type === 'array')
+    .map(param => param.name);
+
+  return (req, res, next) => {
+    const query = { ...req.query };
+    arrayParams.forEach(name => {
+      if (query[name] !== undefined) {
+        query[name] = [].concat(query[name]).flatMap(value => String(value).split(',')).filter(Boolean);
+      }
+    });
+
+    const parameters = { params: { ...req.params }, query };
+    const body = { body: req.body && typeof req.body === 'object' ? structuredClone(req.body) : req.body };
+
+    const parametersValid = checkParameters(parameters);
+    const bodyValid = !checkBody || checkBody(body);
+
+    if (parametersValid && bodyValid) {
+      req.params = parameters.params;
+      req.query = parameters.query;
+      req.body = body.body;
+      return next();
+    }
+
+    const errors = [
+      ...(parametersValid ? [] : checkParameters.errors),
+      ...(bodyValid ? [] : checkBody.errors)
+    ].map(describeError);
+    const first = errors[0];
+    next(new ValidationError(`${first.field || `Request ${first.location}`} ${first.message}`, { errors }));
+  };
+}
+
+module.exports = { validate };
@@ -0,0 +1,1025 @@
+// server/openapi.js
+// OpenAPI 3 description of the routes in server/routes/api.js,
+// server/routes/auth.js and server/routes/admin.js, served at
+// /api/openapi.json and used by server/middleware/validate.js to check
+// requests. Parameter and request body schemas are written inline (no $ref)
+// so the validator can compile them directly.
+
+function queryParam(name, schema, description) {
+  return { name, in: 'query', required: false, schema, description };
+}
+
+function pathParam(name, schema, description) {
+  return { name, in: 'path', required: true, schema, description };
+}
+
+function jsonBody(schema) {
+  return { required: true, content: { 'application/json': { schema } } };
+}
+
+function jsonResponse(description, schema) {
+  return { description, content: { 'application/json': { schema } } };
+}
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+const movieIdParam = pathParam('id', { type: 'integer', minimum: 1 }, 'movieId');
+const userIdParam = pathParam('userId', { type: 'integer', minimum: 1 }, 'User ID');
+const offsetParam = queryParam('offset', { type: 'integer', minimum: 0, default: 0 }, 'Number of results to skip');
+
+function limitParam(defaultLimit, maxLimit, description = 'Number of results to return') {
+  return queryParam(
+    'limit',
+    { type: 'integer', minimum: 1, default: defaultLimit },
+    `${description} (values above ${maxLimit} are capped at ${maxLimit})`
+  );
+}
+
+// A list parameter may be comma-separated ("a,b") or repeated (?x=a&x=b)
+function listParam(name, description) {
+  return {
+    ...queryParam(name, { type: 'array', items: { type: 'string' } }, `${description}, comma-separated or repeated`),
+    style: 'form',
+    explode: true
+  };
+}
+
+// Errors are RFC 7807 problem details (see server/errors.js)
+function problemResponse(description) {
+  return { description, content: { 'application/problem+json': { schema: ref('Problem') } } };
+}
+
+const errorResponses = {
+  400: problemResponse('Invalid request'),
+  401: problemResponse('Not logged in'),
+  404: problemResponse('Not found'),
+  429: {
+    ...problemResponse('Rate limit exceeded'),
+    headers: { 'Retry-After': { schema: { type: 'integer' }, description: 'Seconds until a request will be accepted' } }
+  },
+  500: problemResponse('Server error'),
+  503: problemResponse('Database unavailable')
+};
+
+// Write operations need the session cookie set by /auth/login or /auth/register,
+// or a Firebase Auth ID token
+const sessionAuth = [{ sessionCookie: [] }, { firebaseIdToken: [] }];
+
+// Admin operations also need a role on the account (see server/db/accounts.js)
+const roleResponses = {
+  401: errorResponses[401],
+  403: problemResponse('The signed-in user does not have the required role')
+};
+
+const movieFields = {
+  title: { type: 'string', minLength: 1, maxLength: 300, description: 'With or without "(year)" at the end' },
+  year: { type: 'integer', minimum: 1870, maximum: 2100, nullable: true },
+  genres: {
+    type: 'array',
+    maxItems: 20,
+    items: { type: 'string', minLength: 1, maxLength: 50 },
+    description: 'Replaces the current genres'
+  }
+};
+
+const credentials = {
+  type: 'object',
+  required: ['email', 'password'],
+  properties: {
+    email: { type: 'string', pattern: '^[^@\\s]+@[^@\\s]+\\.[^@\\s]+$', maxLength: 254 },
+    password: { type: 'string', minLength: 8, maxLength: 128 }
+  }
+};
+
+const spec = {
+  openapi: '3.0.3',
+  info: {
+    title: 'CymbalFlix API',
+    version: '1.0.0',
+    description: 'Browse, search and rate movies from the MovieLens dataset.'
+  },
+  servers: [{ url: '/api' }],
+  tags: [
+    { name: 'Movies' },
+    { name: 'Ratings' },
+    { name: 'Tags' },
+    { name: 'Search' },
+    { name: 'Users' },
+    { name: 'Platform' },
+    { name: 'Auth' },
+    { name: 'Admin', description: 'Catalog and rating management; needs the editor, moderator or admin role' }
+  ],
+  paths: {
+    '/movies': {
+      get: {
+        operationId: 'listMovies',
+        tags: ['Movies'],
+        summary: 'List movies with filtering, sorting and pagination',
+        description: 'Search results include a relevance score and highlights (HTML-escaped title, summary ' +
+          'snippet and tags with matching words wrapped in <mark>). pagination.nextCursor is null on the ' +
+          'last page; cursors are tied to the sort and order they were issued for.',
+        parameters: [
+          queryParam('search', { type: 'string' }, 'Full-text search across titles, summaries and tags (stemmed, relevance-ranked)'),
+          queryParam('genre', { type: 'string' }, 'Filter by a single genre'),
+          listParam('genres', 'Several genres'),
+          queryParam('mode', { type: 'string', enum: ['all', 'any'], default: 'all' }, 'Whether a movie needs every listed genre or at least one'),
+          listParam('excludeGenres', 'Genres the movie must not have'),
+          queryParam('yearFrom', { type: 'integer' }, 'Earliest release year, inclusive'),
+          queryParam('yearTo', { type: 'integer' }, 'Latest release year, inclusive'),
+          queryParam('minRating', { type: 'number', minimum: 0, maximum: 5 }, 'Minimum average rating'),
+          queryParam('maxRating', { type: 'number', minimum: 0, maximum: 5 }, 'Maximum average rating'),
+          queryParam('minRatingCount', { type: 'integer', minimum: 0 }, 'Minimum number of ratings'),
+          limitParam(20, 100, 'Number of results per page'),
+          queryParam('cursor', { type: 'string' }, 'Opaque position from the previous page\'s pagination.nextCursor'),
+          // No default: passing offset at all is what turns on pagination.total
+          queryParam('offset', { type: 'integer', minimum: 0 }, 'Number of results to skip; slower for deep pages. Ignored when cursor is given'),
+          queryParam('includeTotal', { type: 'boolean', default: false }, 'Return pagination.total (always returned with offset)'),
+          {
+            ...queryParam('facets', { type: 'array', items: { type: 'string', enum: ['genres', 'decade', 'ratingBucket'] } },
+              'Facet counts to return. Each is counted under all other filters but not its own'),
+            style: 'form',
+            explode: false
+          },
+          queryParam('sort', {
+            type: 'string',
+            enum: ['relevance', 'weightedRating', 'averageRating', 'ratingCount', 'title', 'year']
+          }, 'Sort field (default: relevance when searching, otherwise weightedRating)'),
+          queryParam('order', { type: 'string', enum: ['asc', 'desc'], default: 'desc' }, 'Sort order; ignored for relevance')
+        ],
+        responses: {
+          200: jsonResponse('A page of movies', {
+            type: 'object',
+            properties: {
+              movies: { type: 'array', items: ref('Movie') },
+              pagination: ref('CursorPagination'),
+              facets: {
+                type: 'object',
+                additionalProperties: { type: 'array', items: ref('FacetCount') }
+              }
+            }
+          }),
+          400: errorResponses[400],
+          500: errorResponses[500]
+        }
+      }
+    },
+    '/movies/trending': {
+      get: {
+        operationId: 'listTrendingMovies',
+        tags: ['Movies'],
+        summary: 'Movies gaining ratings fastest within a recent time window',
+        description: 'Each rating in the window adds rating / 5 to the score, halving in weight every quarter ' +
+          'window. The window ends at the newest rating rather than the current time.',
+        parameters: [
+          queryParam('window', { type: 'string', enum: ['7d', '30d', '365d'], default: '30d' }, 'Time window'),
+          queryParam('minRatings', { type: 'integer', minimum: 1, default: 2 }, 'Ratings needed within the window to qualify'),
+          limitParam(10, 50)
+        ],
+        responses: {
+          200: jsonResponse('Trending movies', {
+            type: 'object',
+            properties: {
+              window: { type: 'string' },
+              windowStart: { type: 'string', format: 'date-time', nullable: true },
+              windowEnd: { type: 'string', format: 'date-time', nullable: true },
+              movies: {
+                type: 'array',
+                items: {
+                  allOf: [ref('Movie'), {
+                    type: 'object',
+                    properties: {
+                      trending: {
+                        type: 'object',
+                        properties: {
+                          ratings: { type: 'integer' },
+                          averageRating: { type: 'number' },
+                          score: { type: 'number' }
+                        }
+                      }
+                    }
+                  }]
+                }
+              }
+            }
+          }),
+          400: errorResponses[400],
+          500: errorResponses[500]
+        }
+      }
+    },
+    '/movies/{id}': {
+      get: {
+        operationId: 'getMovie',
+        tags: ['Movies'],
+        summary: 'Movie details with recent ratings, rating distribution and timeline',
+        parameters: [
+          movieIdParam,
+          queryParam('ratingsLimit', { type: 'integer', minimum: 1, default: 10 }, 'Number of recent ratings to include (capped at 100)')
+        ],
+        responses: {
+          200: jsonResponse('Movie details', {
+            type: 'object',
+            properties: {
+              movie: ref('Movie'),
+              recentRatings: { type: 'array', items: ref('Rating') },
+              ratingDistribution: {
+                type: 'array',
+                description: 'Count of ratings at each half star from 0.5 to 5.0',
+                items: { type: 'object', properties: { rating: { type: 'number' }, count: { type: 'integer' } } }
+              },
+              ratingTimeline: {
+                type: 'array',
+                description: 'Count and mean rating per calendar month (UTC), empty months included',
+                items: {
+                  type: 'object',
+                  properties: {
+                    month: { type: 'string', example: '2015-03' },
+                    count: { type: 'integer' },
+                    averageRating: { type: 'number', nullable: true }
+                  }
+                }
+              },
+              tags: { type: 'array', items: { type: 'string' } },
+              links: {
+                type: 'object',
+                nullable: true,
+                properties: {
+                  imdb: { type: 'string', nullable: true },
+                  tmdb: { type: 'string', nullable: true }
+                }
+              }
+            }
+          }),
+          ...errorResponses
+        }
+      }
+    },
+    '/movies/{id}/similar': {
+      get: {
+        operationId: 'listSimilarMovies',
+        tags: ['Movies'],
+        summary: 'Movies rated most like this one ("more like this")',
+        description: 'Neighbors are precomputed by server/db/compute_similar.js.',
+        parameters: [movieIdParam, limitParam(10, 20)],
+        responses: {
+          200: jsonResponse('Similar movies', {
+            type: 'object',
+            properties: {
+              movieId: { type: 'integer' },
+              similar: {
+                type: 'array',
+                items: {
+                  allOf: [ref('Movie'), {
+                    type: 'object',
+                    properties: { similarity: { type: 'number' }, coRaters: { type: 'integer' } }
+                  }]
+                }
+              },
+              computedAt: { type: 'string', format: 'date-time', nullable: true }
+            }
+          }),
+          ...errorResponses
+        }
+      }
+    },
+    '/movies/{id}/rate': {
+      post: {
+        operationId: 'rateMovie',
+        tags: ['Ratings'],
+        summary: 'Rate a movie as the signed-in user, replacing any earlier rating',
+        security: sessionAuth,
+        parameters: [movieIdParam],
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['rating'],
+          properties: {
+            rating: { type: 'number', minimum: 0.5, maximum: 5, multipleOf: 0.5, description: 'Rating in half stars' }
+          }
+        }),
+        responses: {
+          200: jsonResponse('Existing rating replaced', ref('RatingResult')),
+          201: jsonResponse('Rating created', ref('RatingResult')),
+          401: errorResponses[401],
+          ...errorResponses
+        }
+      }
+    },
+    '/movies/{id}/ratings/{userId}': {
+      delete: {
+        operationId: 'deleteRating',
+        tags: ['Ratings'],
+        summary: 'Remove the signed-in user\'s rating for a movie',
+        security: sessionAuth,
+        parameters: [movieIdParam, userIdParam],
+        responses: {
+          200: jsonResponse('Rating removed', ref('RatingResult')),
+          401: errorResponses[401],
+          403: problemResponse('The rating belongs to another user'),
+          ...errorResponses
+        }
+      }
+    },
+    '/movies/{id}/tags': {
+      post: {
+        operationId: 'addTag',
+        tags: ['Tags'],
+        summary: 'Add a tag to a movie as the signed-in user',
+        security: sessionAuth,
+        parameters: [movieIdParam],
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['tag'],
+          properties: {
+            tag: {
+              type: 'string',
+              minLength: 1,
+              description: 'Up to 50 characters after trimming: letters, numbers, spaces and basic punctuation'
+            }
+          }
+        }),
+        responses: {
+          201: jsonResponse('Tag added', {
+            type: 'object',
+            properties: { message: { type: 'string' }, tag: ref('Tag') }
+          }),
+          401: errorResponses[401],
+          409: problemResponse('The user already applied this tag'),
+          ...errorResponses
+        }
+      }
+    },
+    '/movies/{id}/tags/{tag}': {
+      delete: {
+        operationId: 'removeTag',
+        tags: ['Tags'],
+        summary: 'Remove a tag the signed-in user applied (matched ignoring case and spacing)',
+        security: sessionAuth,
+        parameters: [movieIdParam, pathParam('tag', { type: 'string', minLength: 1 }, 'Tag text')],
+        responses: {
+          200: jsonResponse('Tag removed', {
+            type: 'object',
+            properties: { message: { type: 'string' }, deletedCount: { type: 'integer' } }
+          }),
+          401: errorResponses[401],
+          ...errorResponses
+        }
+      }
+    },
+    '/search/suggest': {
+      get: {
+        operationId: 'suggestTitles',
+        tags: ['Search'],
+        summary: 'Typo-tolerant title suggestions for partially typed input',
+        parameters: [
+          queryParam('q', { type: 'string' }, 'Partial title (at least 2 characters)'),
+          limitParam(8, 20)
+        ],
+        responses: {
+          200: jsonResponse('Suggestions', {
+            type: 'object',
+            properties: {
+              query: { type: 'string' },
+              suggestions: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    movieId: { type: 'integer' },
+                    title: { type: 'string' },
+                    year: { type: 'integer', nullable: true },
+                    match: { type: 'string', enum: ['prefix', 'word', 'fuzzy'] }
+                  }
+                }
+              }
+            }
+          }),
+          400: errorResponses[400],
+          500: errorResponses[500]
+        }
+      }
+    },
+    '/genres': {
+      get: {
+        operationId: 'listGenres',
+        tags: ['Movies'],
+        summary: 'All genres',
+        responses: {
+          200: jsonResponse('Genres', {
+            type: 'object',
+            properties: { genres: { type: 'array', items: { type: 'string' } } }
+          }),
+          500: errorResponses[500]
+        }
+      }
+    },
+    '/tags': {
+      get: {
+        operationId: 'listTags',
+        tags: ['Tags'],
+        summary: 'Distinct tags with usage counts (tag cloud)',
+        parameters: [
+          queryParam('q', { type: 'string' }, 'Only include tags with a word starting with this text (case-insensitive)'),
+          limitParam(50, 200)
+        ],
+        responses: {
+          200: jsonResponse('Tags', {
+            type: 'object',
+            properties: {
+              tags: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    tag: { type: 'string' },
+                    count: { type: 'integer' },
+                    movieCount: { type: 'integer' }
+                  }
+                }
+              }
+            }
+          }),
+          400: errorResponses[400],
+          500: errorResponses[500]
+        }
+      }
+    },
+    '/tags/{tag}/movies': {
+      get: {
+        operationId: 'listTagMovies',
+        tags: ['Tags'],
+        summary: 'Movies with a tag, ranked by how many users applied it',
+        parameters: [
+          pathParam('tag', { type: 'string', minLength: 1 }, 'Tag text (exact match)'),
+          limitParam(20, 100, 'Number of results per page'),
+          offsetParam
+        ],
+        responses: {
+          200: jsonResponse('Tagged movies', {
+            type: 'object',
+            properties: {
+              tag: { type: 'string' },
+              movies: {
+                type: 'array',
+                items: {
+                  allOf: [ref('Movie'), { type: 'object', properties: { tagUserCount: { type: 'integer' } } }]
+                }
+              },
+              pagination: ref('OffsetPagination')
+            }
+          }),
+          ...errorResponses
+        }
+      }
+    },
+    '/stats': {
+      get: {
+        operationId: 'getStats',
+        tags: ['Platform'],
+        summary: 'Platform totals',
+        description: 'Served from a stats document that writes keep current. updatedAt is the last change ' +
+          'to it and reconciledAt the last full recount.',
+        responses: {
+          200: jsonResponse('Totals', {
+            type: 'object',
+            properties: {
+              movies: { type: 'integer' },
+              ratings: { type: 'integer' },
+              tags: { type: 'integer' },
+              users: { type: 'integer' },
+              updatedAt: { type: 'string', format: 'date-time' },
+              reconciledAt: { type: 'string', format: 'date-time' }
+            }
+          }),
+          500: errorResponses[500]
+        }
+      }
+    },
+    '/analytics/genres': {
+      get: {
+        operationId: 'getGenreAnalytics',
+        tags: ['Platform'],
+        summary: 'Per-genre movie counts, mean rating and rating volume, overall and by release decade',
+        parameters: [
+          queryParam('minRatings', { type: 'integer', minimum: 1, default: 1 },
+            'Ratings a genre needs within a decade for that decade to be included')
+        ],
+        responses: {
+          200: jsonResponse('Genre analytics', {
+            type: 'object',
+            properties: {
+              globalAverage: { type: 'number', nullable: true },
+              decades: { type: 'array', items: { type: 'integer' } },
+              genres: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    genre: { type: 'string' },
+                    movieCount: { type: 'integer' },
+                    ratedMovieCount: { type: 'integer' },
+                    ratingCount: { type: 'integer' },
+                    averageRating: { type: 'number', nullable: true },
+                    decades: {
+                      type: 'array',
+                      items: {
+                        type: 'object',
+                        properties: {
+                          decade: { type: 'integer' },
+                          movieCount: { type: 'integer' },
+                          ratingCount: { type: 'integer' },
+                          averageRating: { type: 'number', nullable: true }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }),
+          400: errorResponses[400],
+          500: errorResponses[500]
+        }
+      }
+    },
+    '/users/{userId}': {
+      get: {
+        operationId: 'getUser',
+        tags: ['Users'],
+        summary: 'A user\'s rating summary, rating history, tags and genre affinity',
+        parameters: [userIdParam, limitParam(20, 100, 'Number of history entries per page'), offsetParam],
+        responses: {
+          200: jsonResponse('User profile', {
+            type: 'object',
+            properties: {
+              userId: { type: 'integer' },
+              ratingCount: { type: 'integer' },
+              averageRating: { type: 'number', nullable: true },
+              ratings: { type: 'array', items: ref('Rating') },
+              tags: { type: 'array', items: ref('Tag') },
+              genreAffinity: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    genre: { type: 'string' },
+                    ratingCount: { type: 'integer' },
+                    averageRating: { type: 'number' },
+                    globalAverage: { type: 'number' },
+                    affinity: { type: 'number' }
+                  }
+                }
+              },
+              pagination: ref('OffsetPagination')
+            }
+          }),
+          ...errorResponses
+        }
+      }
+    },
+    '/users/{userId}/recommendations': {
+      get: {
+        operationId: 'getRecommendations',
+        tags: ['Users'],
+        summary: 'Personalized recommendations, precomputed by server/db/train_recommendations.js',
+        parameters: [userIdParam, limitParam(10, 50)],
+        responses: {
+          200: jsonResponse('Recommendations', {
+            type: 'object',
+            properties: {
+              userId: { type: 'integer' },
+              recommendations: {
+                type: 'array',
+                items: {
+                  allOf: [ref('Movie'), { type: 'object', properties: { predictedRating: { type: 'number' } } }]
+                }
+              },
+              computedAt: { type: 'string', format: 'date-time', nullable: true }
+            }
+          }),
+          ...errorResponses
+        }
+      }
+    },
+    '/firebase-config': {
+      get: {
+        operationId: 'getFirebaseConfig',
+        tags: ['Platform'],
+        summary: 'Firebase configuration for the client-side SDK',
+        responses: {
+          200: jsonResponse('Firebase configuration', {
+            type: 'object',
+            properties: {
+              projectId: { type: 'string' },
+              databaseId: { type: 'string' },
+              apiKey: { type: 'string', nullable: true },
+              authDomain: { type: 'string' },
+              authEmulatorHost: { type: 'string', nullable: true, description: 'host:port of the Auth emulator, if in use' }
+            }
+          }),
+          500: errorResponses[500]
+        }
+      }
+    },
+    '/auth/register': {
+      post: {
+        operationId: 'register',
+        tags: ['Auth'],
+        summary: 'Create an account and log in as it',
+        requestBody: jsonBody(credentials),
+        responses: {
+          201: jsonResponse('Account created; the session cookie is set', {
+            type: 'object',
+            properties: { user: ref('Account') }
+          }),
+          409: problemResponse('The email is already registered'),
+          400: errorResponses[400],
+          500: errorResponses[500]
+        }
+      }
+    },
+    '/auth/login': {
+      post: {
+        operationId: 'login',
+        tags: ['Auth'],
+        summary: 'Log in with an email and password',
+        requestBody: jsonBody({
+          ...credentials,
+          properties: { ...credentials.properties, password: { type: 'string', minLength: 1, maxLength: 128 } }
+        }),
+        responses: {
+          200: jsonResponse('Logged in; the session cookie is set', {
+            type: 'object',
+            properties: { user: ref('Account') }
+          }),
+          401: problemResponse('Incorrect email or password'),
+          400: errorResponses[400],
+          500: errorResponses[500]
+        }
+      }
+    },
+    '/auth/logout': {
+      post: {
+        operationId: 'logout',
+        tags: ['Auth'],
+        summary: 'End the current session',
+        responses: {
+          204: { description: 'Logged out; the session cookie is cleared' }
+        }
+      }
+    },
+    '/auth/firebase': {
+      post: {
+        operationId: 'linkFirebaseUser',
+        tags: ['Auth'],
+        summary: 'The account for a Firebase user, created if needed',
+        description: 'Anonymous Firebase users have no account, and so no userId, until they call this.',
+        security: [{ firebaseIdToken: [] }],
+        responses: {
+          200: jsonResponse('The Firebase user\'s account', {
+            type: 'object',
+            properties: { user: ref('Account') }
+          }),
+          401: problemResponse('No valid Firebase ID token'),
+          429: errorResponses[429],
+          500: errorResponses[500]
+        }
+      }
+    },
+    '/auth/me': {
+      get: {
+        operationId: 'getCurrentUser',
+        tags: ['Auth'],
+        summary: 'The signed-in user',
+        security: sessionAuth,
+        responses: {
+          200: jsonResponse('Signed-in user', {
+            type: 'object',
+            properties: { user: ref('Account') }
+          }),
+          401: errorResponses[401]
+        }
+      }
+    },
+    '/admin/movies': {
+      post: {
+        operationId: 'createMovie',
+        tags: ['Admin'],
+        summary: 'Add a movie to the catalog (editor)',
+        security: sessionAuth,
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['title'],
+          additionalProperties: false,
+          properties: movieFields
+        }),
+        responses: {
+          201: jsonResponse('Movie created', {
+            type: 'object',
+            properties: { message: { type: 'string' }, movie: ref('Movie') }
+          }),
+          ...roleResponses,
+          ...errorResponses
+        }
+      }
+    },
+    '/admin/movies/{id}': {
+      patch: {
+        operationId: 'updateMovie',
+        tags: ['Admin'],
+        summary: 'Fix a movie\'s title, year or genres (editor)',
+        description: 'The year at the end of the title follows the year field.',
+        security: sessionAuth,
+        parameters: [movieIdParam],
+        requestBody: jsonBody({
+          type: 'object',
+          minProperties: 1,
+          additionalProperties: false,
+          properties: movieFields
+        }),
+        responses: {
+          200: jsonResponse('Movie updated', {
+            type: 'object',
+            properties: { message: { type: 'string' }, movie: ref('Movie') }
+          }),
+          ...roleResponses,
+          ...errorResponses
+        }
+      },
+      delete: {
+        operationId: 'deleteMovie',
+        tags: ['Admin'],
+        summary: 'Delete a movie with its ratings, tags and links (editor)',
+        security: sessionAuth,
+        parameters: [movieIdParam],
+        responses: {
+          200: jsonResponse('Movie deleted', {
+            type: 'object',
+            properties: {
+              message: { type: 'string' },
+              movie: ref('Movie'),
+              deleted: {
+                type: 'object',
+                properties: {
+                  ratings: { type: 'integer' },
+                  tags: { type: 'integer' },
+                  links: { type: 'integer' }
+                }
+              }
+            }
+          }),
+          ...roleResponses,
+          ...errorResponses
+        }
+      }
+    },
+    '/admin/movies/{id}/links': {
+      put: {
+        operationId: 'setMovieLinks',
+        tags: ['Admin'],
+        summary: 'Attach external links to a movie, or detach one with null (editor)',
+        security: sessionAuth,
+        parameters: [movieIdParam],
+        requestBody: jsonBody({
+          type: 'object',
+          minProperties: 1,
+          additionalProperties: false,
+          properties: {
+            imdbId: { type: 'string', pattern: '^[0-9]{7,8}$', nullable: true, description: 'IMDb ID digits without "tt"' },
+            tmdbId: { type: 'integer', minimum: 1, nullable: true }
+          }
+        }),
+        responses: {
+          200: jsonResponse('Links updated', ref('LinksResult')),
+          ...roleResponses,
+          ...errorResponses
+        }
+      },
+      delete: {
+        operationId: 'deleteMovieLinks',
+        tags: ['Admin'],
+        summary: 'Detach every external link from a movie (editor)',
+        security: sessionAuth,
+        parameters: [movieIdParam],
+        responses: {
+          200: jsonResponse('Links removed', ref('LinksResult')),
+          ...roleResponses,
+          ...errorResponses
+        }
+      }
+    },
+    '/admin/movies/{id}/ratings/{userId}': {
+      delete: {
+        operationId: 'adminDeleteRating',
+        tags: ['Admin'],
+        summary: 'Remove any user\'s rating for a movie (moderator)',
+        security: sessionAuth,
+        parameters: [movieIdParam, userIdParam],
+        responses: {
+          200: jsonResponse('Rating removed', ref('RatingResult')),
+          ...roleResponses,
+          ...errorResponses
+        }
+      }
+    },
+    '/admin/movies/{id}/ratings/{userId}/reassign': {
+      post: {
+        operationId: 'reassignRating',
+        tags: ['Admin'],
+        summary: 'Move a rating to another user or movie (moderator)',
+        security: sessionAuth,
+        parameters: [movieIdParam, userIdParam],
+        requestBody: jsonBody({
+          type: 'object',
+          minProperties: 1,
+          additionalProperties: false,
+          properties: {
+            userId: { type: 'integer', minimum: 1, description: 'User to move the rating to' },
+            movieId: { type: 'integer', minimum: 1, description: 'Movie to move the rating to' }
+          }
+        }),
+        responses: {
+          200: jsonResponse('Rating moved', {
+            type: 'object',
+            properties: {
+              message: { type: 'string' },
+              rating: ref('Rating'),
+              from: {
+                type: 'object',
+                properties: { movieId: { type: 'integer' }, userId: { type: 'integer' } }
+              },
+              updatedMovies: {
+                type: 'array',
+                description: 'Both movies\' new rating stats when the rating changed movie',
+                items: ref('RatingSummary')
+              }
+            }
+          }),
+          409: problemResponse('The target user has already rated the target movie'),
+          ...roleResponses,
+          ...errorResponses
+        }
+      }
+    },
+    '/openapi.json': {
+      get: {
+        operationId: 'getOpenApiSpec',
+        tags: ['Platform'],
+        summary: 'This OpenAPI document',
+        responses: {
+          200: jsonResponse('OpenAPI document', { type: 'object' })
+        }
+      }
+    }
+  },
+  components: {
+    securitySchemes: {
+      sessionCookie: { type: 'apiKey', in: 'cookie', name: 'cymbalflix_session' },
+      firebaseIdToken: { type: 'http', scheme: 'bearer', bearerFormat: 'Firebase ID token' }
+    },
+    schemas: {
+      Account: {
+        type: 'object',
+        properties: {
+          userId: { type: 'integer', description: 'The account\'s ratings and tags use this userId' },
+          email: { type: 'string' }
+        }
+      },
+      Problem: {
+        type: 'object',
+        required: ['type', 'title', 'status', 'detail', 'code'],
+        properties: {
+          type: { type: 'string', description: 'urn:cymbalflix:error:<code>' },
+          title: { type: 'string' },
+          status: { type: 'integer' },
+          detail: { type: 'string', description: 'Human-readable explanation' },
+          code: {
+            type: 'string',
+            description: 'Stable machine-readable code, e.g. VALIDATION_FAILED, INVALID_CURSOR, MOVIE_NOT_FOUND, ' +
+              'RATING_NOT_FOUND, TAG_ALREADY_APPLIED, INSUFFICIENT_ROLE, DATABASE_UNAVAILABLE, RATE_LIMITED, INTERNAL_ERROR'
+          },
+          instance: { type: 'string', description: 'Request path' },
+          requestId: { type: 'string', description: 'Also returned in the X-Request-Id header' },
+          errors: {
+            type: 'array',
+            description: 'Every problem found when validating the request',
+            items: {
+              type: 'object',
+              properties: {
+                location: { type: 'string', enum: ['path', 'query', 'body'] },
+                field: { type: 'string' },
+                message: { type: 'string' }
+              }
+            }
+          },
+          retryAfter: { type: 'integer', description: 'Seconds to wait before retrying (RATE_LIMITED)' }
+        }
+      },
+      Movie: {
+        type: 'object',
+        properties: {
+          movieId: { type: 'integer' },
+          title: { type: 'string' },
+          year: { type: 'integer', nullable: true },
+          genres: { type: 'array', items: { type: 'string' } },
+          summary: { type: 'string' },
+          averageRating: { type: 'number' },
+          ratingCount: { type: 'integer' },
+          weightedRating: { type: 'number', nullable: true, description: 'Bayesian average pulled toward the global mean' },
+          relevance: { type: 'number', description: 'Search score (search results only)' },
+          highlights: {
+            type: 'object',
+            description: 'HTML-escaped text with matches in <mark> (search results only)',
+            properties: {
+              title: { type: 'string' },
+              summary: { type: 'string', nullable: true },
+              tags: { type: 'array', items: { type: 'string' } }
+            }
+          }
+        }
+      },
+      Rating: {
+        type: 'object',
+        properties: {
+          userId: { type: 'integer' },
+          movieId: { type: 'integer' },
+          rating: { type: 'number' },
+          timestamp: { type: 'integer', description: 'Unix time in seconds' }
+        }
+      },
+      Tag: {
+        type: 'object',
+        properties: {
+          userId: { type: 'integer' },
+          movieId: { type: 'integer' },
+          tag: { type: 'string' },
+          tagKey: { type: 'string', description: 'The tag lowercased with spacing normalized; unique per user and movie' },
+          timestamp: { type: 'integer', description: 'Unix time in seconds' }
+        }
+      },
+      RatingResult: {
+        type: 'object',
+        properties: {
+          message: { type: 'string' },
+          rating: ref('Rating'),
+          previousRating: { type: 'number', nullable: true },
+          updatedMovie: {
+            allOf: [ref('RatingSummary')],
+            nullable: true,
+            description: 'null when a removed rating\'s movie was deleted at the same time'
+          }
+        }
+      },
+      RatingSummary: {
+        type: 'object',
+        properties: {
+          movieId: { type: 'integer' },
+          averageRating: { type: 'number' },
+          ratingCount: { type: 'integer' },
+          weightedRating: { type: 'number', nullable: true }
+        }
+      },
+      LinksResult: {
+        type: 'object',
+        properties: {
+          message: { type: 'string' },
+          links: {
+            type: 'object',
+            properties: {
+              movieId: { type: 'integer' },
+              imdbId: { type: 'string', nullable: true },
+              tmdbId: { type: 'integer', nullable: true }
+            }
+          }
+        }
+      },
+      CursorPagination: {
+        type: 'object',
+        properties: {
+          limit: { type: 'integer' },
+          hasMore: { type: 'boolean' },
+          nextCursor: { type: 'string', nullable: true },
+          offset: { type: 'integer', description: 'Omitted when paging by cursor' },
+          total: { type: 'integer', description: 'Only with offset or includeTotal=true' }
+        }
+      },
+      OffsetPagination: {
+        type: 'object',
+        properties: {
+          total: { type: 'integer' },
+          limit: { type: 'integer' },
+          offset: { type: 'integer' },
+          hasMore: { type: 'boolean' }
+        }
+      },
+      FacetCount: {
+        type: 'object',
+        properties: {
+          value: { oneOf: [{ type: 'string' }, { type: 'number' }] },
+          count: { type: 'integer' }
+        }
+      }
+    }
+  }
+};
+
+module.exports = spec;
@@ -0,0 +1,481 @@
+// server/routes/admin.js
+// Catalog and rating management for accounts with a role (see
+// server/db/accounts.js): editors change movies and their links, moderators
+// remove and reassign ratings. Every change keeps the movie's rating totals,
+// the platform stats, the search index and every server's cached responses in
+// step, as the user-facing routes in server/routes/api.js do.
+const express = require('express');
+const { getDb } = require('../db/connection');
+const {
+  ensureRatingTotals,
+  applyRatingDelta,
+  incrementPlatformStats,
+  updateRaterCount
+} = require('../db/movie_stats');
+const { SEARCH_COLLECTION, refreshSearchDocument } = require('../search/engine');
+const { invalidateSharedCache, movieCacheTags } = require('../middleware/cache');
+const { validate } = require('../middleware/validate');
+const { requireRole } = require('../middleware/auth');
+const { ValidationError, NotFoundError, ConflictError } = require('../errors');
+
+const router = express.Router();
+
+// MovieLens titles end with the release year: "Toy Story (1995)"
+const TITLE_YEAR_PATTERN = /\s*\((\d{4})\)$/;
+
+// Attempts at claiming the next movieId before giving up
+const MOVIE_ID_ATTEMPTS = 3;
+
+/**
+ * The year at the end of a title, or null
+ */
+function yearFromTitle(title) {
+  const match = title.match(TITLE_YEAR_PATTERN);
+  return match ? parseInt(match[1]) : null;
+}
+
+/**
+ * A title ending in "(year)", or with no year when year is null
+ */
+function titleWithYear(title, year) {
+  const bare = title.trim().replace(TITLE_YEAR_PATTERN, '');
+  return year ? `${bare} (${year})` : bare;
+}
+
+/**
+ * Trim genre names and drop blanks and duplicates
+ */
+function normalizeGenres(genres) {
+  return [...new Set(genres.map(genre => String(genre).trim()).filter(Boolean))];
+}
+
+/**
+ * Find a movie or fail with a 404
+ */
+async function findMovie(moviesCollection, movieId) {
+  const movie = await moviesCollection.findOne({ movieId });
+  if (!movie) {
+    throw new NotFoundError('Movie not found', 'MOVIE_NOT_FOUND');
+  }
+  return movie;
+}
+
+/**
+ * Insert a movie under the next free movieId, retrying if another request
+ * claimed the same one first
+ */
+async function insertMovie(moviesCollection, movie) {
+  for (let attempt = 1; ; attempt++) {
+    const [last] = await moviesCollection
+      .find({}, { projection: { movieId: 1 } })
+      .sort({ movieId: -1 })
+      .limit(1)
+      .toArray();
+    const created = { movieId: last ? last.movieId + 1 : 1, ...movie };
+
+    try {
+      await moviesCollection.insertOne(created);
+      return created;
+    } catch (error) {
+      if (error.code !== 11000 || attempt === MOVIE_ID_ATTEMPTS) throw error;
+    }
+  }
+}
+
+/**
+ * The rating fields of a movie after a change, as the rating routes report them
+ */
+function ratingSummary(movie) {
+  return {
+    movieId: movie.movieId,
+    averageRating: movie.averageRating,
+    ratingCount: movie.ratingCount,
+    weightedRating: movie.weightedRating
+  };
+}
+
+/**
+ * POST /api/admin/movies
+ * Add a movie to the catalog (editor role)
+ *
+ * Body (JSON):
+ * - title: Title, e.g. "Toy Story" or "Toy Story (1995)" (required)
+ * - year: Release year (default: the year at the end of the title, if any)
+ * - genres: Array of genre names (default: none)
+ */
+router.post('/movies', validate('createMovie'), requireRole('editor'), async (req, res, next) => {
+  try {
+    const db = getDb();
+    const moviesCollection = db.collection('movies');
+
+    const title = req.body.title.trim();
+    const year = req.body.year !== undefined ? req.body.year : yearFromTitle(title);
+
+    if (!titleWithYear(title, null)) {
+      throw new ValidationError('Title is required');
+    }
+
+    const movie = await insertMovie(moviesCollection, {
+      title: titleWithYear(title, year),
+      year,
+      genres: normalizeGenres(req.body.genres || []),
+      ratingSum: 0,
+      ratingCount: 0,
+      averageRating: 0,
+      weightedRating: null
+    });
+
+    await incrementPlatformStats(db, { movieCount: 1 });
+    await refreshSearchDocument(db, movie.movieId);
+    await invalidateSharedCache(db, [...movieCacheTags(movie.movieId), 'genres', 'titles']);
+
+    res.status(201).json({
+      message: 'Movie created successfully',
+      movie
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/admin/movies/:id
+ * Fix a movie's title, year or genres (editor role). The year at the end of
+ * the title follows the year field.
+ *
+ * Path parameters:
+ * - id: movieId (numeric)
+ *
+ * Body (JSON), at least one of:
+ * - title: New title, with or without "(year)"
+ * - year: New release year, or null to remove it
+ * - genres: Array of genre names, replacing the current ones
+ */
+router.patch('/movies/:id', validate('updateMovie'), requireRole('editor'), async (req, res, next) => {
+  try {
+    const db = getDb();
+    const moviesCollection = db.collection('movies');
+
+    const movieId = req.params.id;
+    const changes = req.body;
+
+    const movie = await findMovie(moviesCollection, movieId);
+    const update = {};
+
+    if (changes.title !== undefined || changes.year !== undefined) {
+      const title = changes.title !== undefined ? changes.title.trim() : movie.title;
+      if (!titleWithYear(title, null)) {
+        throw new ValidationError('Title is required');
+      }
+
+      let year = movie.year;
+      if (changes.year !== undefined) {
+        year = changes.year;
+      } else if (yearFromTitle(title)) {
+        year = yearFromTitle(title);
+      }
+
+      update.title = titleWithYear(title, year);
+      update.year = year;
+    }
+
+    if (changes.genres !== undefined) {
+      update.genres = normalizeGenres(changes.genres);
+    }
+
+    const updated = await moviesCollection.findOneAndUpdate(
+      { movieId },
+      { $set: update },
+      { returnDocument: 'after' }
+    );
+    if (!updated) {
+      throw new NotFoundError('Movie not found', 'MOVIE_NOT_FOUND');
+    }
+
+    const tags = movieCacheTags(movieId);
+    if (update.genres) {
+      tags.push('genres');
+    }
+    if (update.title !== undefined) {
+      await refreshSearchDocument(db, movieId);
+      tags.push('titles');
+    }
+    await invalidateSharedCache(db, tags);
+
+    res.json({
+      message: 'Movie updated successfully',
+      movie: updated
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/admin/movies/:id
+ * Delete a movie with its ratings, tags and links (editor role)
+ *
+ * Path parameters:
+ * - id: movieId (numeric)
+ */
+router.delete('/movies/:id', validate('deleteMovie'), requireRole('editor'), async (req, res, next) => {
+  try {
+    const db = getDb();
+    const ratingsCollection = db.collection('ratings');
+
+    const movieId = req.params.id;
+
+    // Remove the movie first so no new ratings or tags can be added to it
+    const movie = await db.collection('movies').findOneAndDelete({ movieId });
+    if (!movie) {
+      throw new NotFoundError('Movie not found', 'MOVIE_NOT_FOUND');
+    }
+
+    const ratings = await ratingsCollection
+      .find({ movieId }, { projection: { _id: 1, userId: 1, rating: 1 } })
+      .toArray();
+
+    const [, tagsResult, linksResult] = await Promise.all([
+      ratingsCollection.deleteMany({ _id: { $in: ratings.map(r => r._id) } }),
+      db.collection('tags').deleteMany({ movieId }),
+      db.collection('links').deleteMany({ movieId }),
+      db.collection(SEARCH_COLLECTION).deleteOne({ movieId }),
+      db.collection('similarities').deleteOne({ movieId })
+    ]);
+
+    await incrementPlatformStats(db, {
+      movieCount: -1,
+      ratingSum: -ratings.reduce((sum, r) => sum + r.rating, 0),
+      ratingCount: -ratings.length,
+      tagCount: -tagsResult.deletedCount
+    });
+
+    // Raters whose only rating this was no longer count as users
+    for (const userId of new Set(ratings.map(r => r.userId))) {
+      await updateRaterCount(db, userId, -1);
+    }
+
+    await invalidateSharedCache(db, [...movieCacheTags(movieId), 'genres', 'titles']);
+
+    res.json({
+      message: 'Movie deleted successfully',
+      movie,
+      deleted: {
+        ratings: ratings.length,
+        tags: tagsResult.deletedCount,
+        links: linksResult.deletedCount
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/admin/movies/:id/links
+ * Attach IMDb and TMDB links to a movie, or detach one by setting it to null
+ * (editor role). Links left out of the body are kept.
+ *
+ * Path parameters:
+ * - id: movieId (numeric)
+ *
+ * Body (JSON), at least one of:
+ * - imdbId: IMDb ID digits without "tt", e.g. "0114709", or null
+ * - tmdbId: TMDB movie ID, or null
+ */
+router.put('/movies/:id/links', validate('setMovieLinks'), requireRole('editor'), async (req, res, next) => {
+  try {
+    const db = getDb();
+
+    const movieId = req.params.id;
+    const { imdbId, tmdbId } = req.body;
+
+    await findMovie(db.collection('movies'), movieId);
+
+    const update = {};
+    if (imdbId !== undefined) update.imdbId = imdbId;
+    if (tmdbId !== undefined) update.tmdbId = tmdbId;
+
+    const links = await db.collection('links').findOneAndUpdate(
+      { movieId },
+      { $set: update, $setOnInsert: { movieId } },
+      { upsert: true, returnDocument: 'after' }
+    );
+    await invalidateSharedCache(db, [`movie:${movieId}`]);
+
+    res.json({
+      message: 'Links updated successfully',
+      links: { movieId, imdbId: links.imdbId ?? null, tmdbId: links.tmdbId ?? null }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/admin/movies/:id/links
+ * Detach every external link from a movie (editor role)
+ *
+ * Path parameters:
+ * - id: movieId (numeric)
+ */
+router.delete('/movies/:id/links', validate('deleteMovieLinks'), requireRole('editor'), async (req, res, next) => {
+  try {
+    const db = getDb();
+
+    const movieId = req.params.id;
+
+    const deleted = await db.collection('links').findOneAndDelete({ movieId });
+    if (!deleted) {
+      throw new NotFoundError('This movie has no links', 'LINKS_NOT_FOUND');
+    }
+    await invalidateSharedCache(db, [`movie:${movieId}`]);
+
+    res.json({
+      message: 'Links removed successfully',
+      links: { movieId, imdbId: deleted.imdbId ?? null, tmdbId: deleted.tmdbId ?? null }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/admin/movies/:id/ratings/:userId
+ * Remove any user's rating for a movie (moderator role)
+ *
+ * Path parameters:
+ * - id: movieId (numeric)
+ * - userId: User ID (numeric)
+ */
+router.delete('/movies/:id/ratings/:userId', validate('adminDeleteRating'), requireRole('moderator'), async (req, res, next) => {
+  try {
+    const db = getDb();
+
+    const movieId = req.params.id;
+    const userId = req.params.userId;
+
+    const movie = await findMovie(db.collection('movies'), movieId);
+    await ensureRatingTotals(db, movie);
+
+    const deleted = await db.collection('ratings').findOneAndDelete({ movieId, userId });
+    if (!deleted) {
+      throw new NotFoundError('Rating not found', 'RATING_NOT_FOUND');
+    }
+
+    const updatedMovie = await applyRatingDelta(db, movieId, -deleted.rating, -1);
+    if (!updatedMovie) {
+      // The movie was deleted while this request ran. The rating is gone
+      // either way, so this still succeeds; only the platform totals held it.
+      await incrementPlatformStats(db, { ratingSum: -deleted.rating, ratingCount: -1 });
+    }
+    await updateRaterCount(db, userId, -1);
+    await invalidateSharedCache(db, movieCacheTags(movieId));
+
+    res.json({
+      message: 'Rating deleted successfully',
+      rating: deleted,
+      updatedMovie: updatedMovie && ratingSummary(updatedMovie)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/admin/movies/:id/ratings/:userId/reassign
+ * Move a rating to another user, another movie or both (moderator role),
+ * e.g. one entered against the wrong account or a duplicate movie.
+ * Fails if the target user has already rated the target movie.
+ *
+ * Path parameters:
+ * - id: movieId (numeric)
+ * - userId: User ID (numeric)
+ *
+ * Body (JSON), at least one of:
+ * - userId: User to move the rating to
+ * - movieId: Movie to move the rating to
+ */
+router.post('/movies/:id/ratings/:userId/reassign', validate('reassignRating'), requireRole('moderator'), async (req, res, next) => {
+  try {
+    const db = getDb();
+    const moviesCollection = db.collection('movies');
+    const ratingsCollection = db.collection('ratings');
+
+    const movieId = req.params.id;
+    const userId = req.params.userId;
+    const target = {
+      movieId: req.body.movieId ?? movieId,
+      userId: req.body.userId ?? userId
+    };
+
+    if (target.movieId === movieId && target.userId === userId) {
+      throw new ValidationError('Give a different userId or movieId to move the rating to');
+    }
+
+    const movie = await findMovie(moviesCollection, movieId);
+    const targetMovie = target.movieId === movieId ? movie : await findMovie(moviesCollection, target.movieId);
+
+    // Totals must exist before the rating moves, or it is counted twice
+    await ensureRatingTotals(db, movie);
+    if (targetMovie !== movie) {
+      await ensureRatingTotals(db, targetMovie);
+    }
+
+    let moved;
+    try {
+      moved = await ratingsCollection.findOneAndUpdate(
+        { movieId, userId },
+        { $set: target },
+        { returnDocument: 'after' }
+      );
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ConflictError('That user has already rated that movie', 'RATING_ALREADY_EXISTS');
+      }
+      throw error;
+    }
+
+    if (!moved) {
+      throw new NotFoundError('Rating not found', 'RATING_NOT_FOUND');
+    }
+
+    const updatedMovies = [];
+    if (target.movieId !== movieId) {
+      // Both movies were checked above, but either can be deleted meanwhile.
+      // The target goes first: if it is gone, nothing has been counted yet
+      // and the rating moves back.
+      const toMovie = await applyRatingDelta(db, target.movieId, moved.rating, 1);
+      if (!toMovie) {
+        await ratingsCollection.updateOne({ _id: moved._id }, { $set: { movieId, userId } });
+        throw new NotFoundError('Movie not found', 'MOVIE_NOT_FOUND');
+      }
+
+      // A deleted source movie no longer counts the rating; the platform still does
+      const fromMovie = await applyRatingDelta(db, movieId, -moved.rating, -1);
+      if (!fromMovie) {
+        await incrementPlatformStats(db, { ratingSum: -moved.rating, ratingCount: -1 });
+      }
+
+      updatedMovies.push(...[fromMovie, toMovie].filter(Boolean).map(ratingSummary));
+    }
+
+    if (target.userId !== userId) {
+      await updateRaterCount(db, target.userId, 1);
+      await updateRaterCount(db, userId, -1);
+    }
+
+    await invalidateSharedCache(db, [...new Set([...movieCacheTags(movieId), ...movieCacheTags(target.movieId)])]);
+
+    res.json({
+      message: 'Rating reassigned successfully',
+      rating: moved,
+      from: { movieId, userId },
+      updatedMovies
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,22 +1,271 @@
 const express = require('express');
 const { getDb } = require('../db/connection');
+const {
+  ensureRatingTotals,
+  applyRatingDelta,
+  incrementPlatformStats,
+  updateRaterCount,
+  getPlatformStats
+} = require('../db/movie_stats');
+const { normalizeTag, tagKey } = require('../db/tags');
+const { searchMovies, highlightMovie, refreshSearchDocument } = require('../search/engine');
+const { suggestTitles } = require('../search/suggest');
+const { cacheResponse, invalidateSharedCache, movieCacheTags } = require('../middleware/cache');
+const { validate } = require('../middleware/validate');
+const { requireAuth } = require('../middleware/auth');
+const { ApiError, ValidationError, ForbiddenError, NotFoundError, ConflictError } = require('../errors');
+const openApiSpec = require('../openapi');
 
 const router = express.Router();
 
+// User-entered tag limits
+const MAX_TAG_LENGTH = 50;
+const TAG_PATTERN = /^(?=.*[\p{L}\p{N}])[\p{L}\p{N} '&.,:!?()\/+#-]+$/u;
+
+/**
+ * Escape user input for use inside a regular expression
+ */
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Encode the position after the last movie of a page as an opaque cursor.
+ * The cursor records the sort it was issued for so it can't be replayed
+ * against a different ordering.
+ */
+function encodeCursor(sortField, order, movie, value) {
+  const position = { s: sortField, o: order, v: value === undefined ? null : value, id: movie.movieId };
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+/**
+ * Decode a cursor, returning null if it is malformed. The position value ends
+ * up in a query filter, so anything but a plain sort value (an object could
+ * smuggle in operators) is rejected.
+ */
+function decodeCursor(cursor) {
+  try {
+    const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!position || typeof position.s !== 'string' || !Number.isInteger(position.id)) {
+      return null;
+    }
+    if (position.o !== 'asc' && position.o !== 'desc') {
+      return null;
+    }
+    const value = position.v;
+    if (value !== null && typeof value !== 'string' && !Number.isFinite(value)) {
+      return null;
+    }
+    return position;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Filter matching movies strictly after a cursor position when sorted by
+ * { [field]: direction, movieId: direction }.
+ *
+ * Missing and null values sort lowest, so they come last in descending order
+ * and first in ascending order.
+ */
+function afterCursorFilter(field, direction, position) {
+  const beyond = direction === 1 ? '$gt' : '$lt';
+  const tie = { [field]: position.v, movieId: { [beyond]: position.id } };
+
+  if (position.v === null) {
+    return direction === 1
+      ? { $or: [tie, { [field]: { $ne: null } }] }
+      : tie;
+  }
+
+  const clauses = [{ [field]: { [beyond]: position.v } }, tie];
+  if (direction === -1) {
+    clauses.push({ [field]: null });
+  }
+  return { $or: clauses };
+}
+
+/**
+ * Read a list parameter given either comma-separated ("a,b") or repeated (?x=a&x=b)
+ */
+function parseList(value) {
+  if (value === undefined) return [];
+  return [].concat(value)
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Build the movies filter for the listing's genre, year and rating filters.
+ * Filter groups named in omit ("genres", "year", "minRating") are left out,
+ * which facet counts use to ignore their own filter.
+ * Returns { filter } or { error } describing the first invalid parameter.
+ */
+function buildMovieFilter(query, omit = []) {
+  const filter = {};
+  
+  // Numeric parameters (already numbers, see validate()): absent means no filter
+  const numbers = {};
+  for (const name of ['yearFrom', 'yearTo', 'minRating', 'maxRating', 'minRatingCount']) {
+    if (query[name] !== undefined) numbers[name] = query[name];
+  }
+  if (omit.includes('year')) {
+    delete numbers.yearFrom;
+    delete numbers.yearTo;
+  }
+  
+  // The single-value genre parameter still works and joins the genres list
+  const genres = omit.includes('genres')
+    ? []
+    : [...new Set([...parseList(query.genre), ...parseList(query.genres)])];
+  const excludeGenres = [...new Set(parseList(query.excludeGenres))];
+  const mode = query.mode;
+  
+  if (genres.length > 0 || excludeGenres.length > 0) {
+    filter.genres = {};
+    if (genres.length > 0) {
+      filter.genres[mode === 'all' ? '$all' : '$in'] = genres;
+    }
+    if (excludeGenres.length > 0) {
+      filter.genres.$nin = excludeGenres;
+    }
+  }
+  
+  if (numbers.yearFrom !== undefined && numbers.yearTo !== undefined && numbers.yearFrom > numbers.yearTo) {
+    return { error: 'yearFrom must not be after yearTo' };
+  }
+  if (numbers.yearFrom !== undefined || numbers.yearTo !== undefined) {
+    filter.year = {};
+    if (numbers.yearFrom !== undefined) filter.year.$gte = numbers.yearFrom;
+    if (numbers.yearTo !== undefined) filter.year.$lte = numbers.yearTo;
+  }
+  
+  if (numbers.minRating !== undefined && numbers.maxRating !== undefined && numbers.minRating > numbers.maxRating) {
+    return { error: 'minRating must not be greater than maxRating' };
+  }
+  if (omit.includes('minRating')) {
+    delete numbers.minRating;
+  }
+  if (numbers.minRating !== undefined || numbers.maxRating !== undefined) {
+    filter.averageRating = {};
+    if (numbers.minRating !== undefined) filter.averageRating.$gte = numbers.minRating;
+    if (numbers.maxRating !== undefined) filter.averageRating.$lte = numbers.maxRating;
+  }
+  
+  if (numbers.minRatingCount !== undefined) {
+    filter.ratingCount = { $gte: numbers.minRatingCount };
+  }
+  
+  return { filter };
+}
+
+// Trending windows in seconds. Within a window, a rating's weight halves every
+// quarter window, so the last few days count most in the 7-day view.
+const TRENDING_WINDOWS = {
+  '7d': 7 * 24 * 60 * 60,
+  '30d': 30 * 24 * 60 * 60,
+  '365d': 365 * 24 * 60 * 60
+};
+
+// Facet counts available on the movie listing. Each ignores its own filter so
+// the counts show what choosing a different value would return.
+const FACETS = {
+  genres: {
+    // With mode=all, picking another genre narrows the current selection, so keep it
+    omit: query => (query.mode === 'any' ? ['genres'] : []),
+    pipeline: [
+      { $unwind: '$genres' },
+      { $group: { _id: '$genres', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } }
+    ]
+  },
+  decade: {
+    omit: () => ['year'],
+    pipeline: [
+      { $match: { year: { $ne: null } } },
+      { $group: { _id: { $subtract: ['$year', { $mod: ['$year', 10] }] }, count: { $sum: 1 } } },
+      { $sort: { _id: 1 } }
+    ]
+  },
+  ratingBucket: {
+    // Half-star buckets by lower bound: 3.5 holds averages from 3.5 up to 4.0
+    omit: () => ['minRating'],
+    pipeline: [
+      { $match: { ratingCount: { $gt: 0 } } },
+      { $group: { _id: { $divide: [{ $floor: { $multiply: ['$averageRating', 2] } }, 2] }, count: { $sum: 1 } } },
+      { $sort: { _id: -1 } }
+    ]
+  }
+};
+
+/**
+ * Count movies per facet value for the listing's current filters.
+ * searchFilter holds the full-text search restriction, which every facet keeps.
+ * Returns { [facet]: [{ value, count }] }.
+ */
+async function computeFacets(moviesCollection, query, searchFilter, names) {
+  const results = await Promise.all(names.map(name => {
+    const facet = FACETS[name];
+    const { filter } = buildMovieFilter(query, facet.omit(query));
+    return moviesCollection
+      .aggregate([{ $match: { ...filter, ...searchFilter } }, ...facet.pipeline])
+      .toArray();
+  }));
+  
+  return names.reduce((facets, name, i) => {
+    facets[name] = results[i].map(r => ({ value: r._id, count: r.count }));
+    return facets;
+  }, {});
+}
+
+/**
+ * GET /api/openapi.json
+ * OpenAPI 3 description of this API (browse it at /api-docs.html).
+ * Requests to every route are validated against it.
+ */
+router.get('/openapi.json', (req, res) => {
+  res.json(openApiSpec);
+});
+
 /**
  * GET /api/movies
  * List movies with optional filtering and pagination
  * 
  * Query parameters:
- * - search: Search movie titles (case-insensitive, partial match)
+ * - search: Full-text search across titles, summaries and tags (stemmed, relevance-ranked)
  * - genre: Filter by genre (e.g., "Action", "Comedy")
+ * - genres: Several genres, comma-separated or repeated (e.g., "Sci-Fi,Thriller")
+ * - mode: How genres combine (default: "all" - movie has every genre; "any" - at least one)
+ * - excludeGenres: Genres the movie must not have, comma-separated or repeated
+ * - yearFrom, yearTo: Release year range, inclusive (e.g., 1980 and 1989)
  * - minRating: Minimum average rating (e.g., 3.5)
+ * - maxRating: Maximum average rating (e.g., 2.5)
+ * - minRatingCount: Minimum number of ratings (e.g., 20)
  * - limit: Number of results per page (default: 20, max: 100)
- * - offset: Number of results to skip (default: 0)
- * - sort: Sort field (default: "averageRating", options: "averageRating", "ratingCount", "title", "year")
- * - order: Sort order (default: "desc", options: "asc", "desc")
+ * - cursor: Opaque position from the previous page's pagination.nextCursor.
+ *           Pages stay stable while ratings change and cost the same at any depth.
+ * - offset: Number of results to skip (default: 0); slower for deep pages.
+ *           Ignored when cursor is given.
+ * - includeTotal: "true" to return pagination.total (always returned with offset)
+ * - facets: Facet counts to return, comma-separated: "genres", "decade", "ratingBucket".
+ *           Each is counted under all other filters but not its own (genres keeps
+ *           the genre selection when mode is "all"). ratingBucket values are
+ *           half-star lower bounds; unrated movies are not counted.
+ * - sort: Sort field (default: "relevance" when searching, otherwise "weightedRating";
+ *         options: "relevance", "weightedRating", "averageRating", "ratingCount", "title", "year")
+ *         weightedRating is a Bayesian average that pulls sparsely rated movies toward the global mean
+ * - order: Sort order (default: "desc", options: "asc", "desc"; ignored for "relevance")
+ * 
+ * Search results include a `relevance` score and `highlights` (HTML-escaped
+ * title, summary snippet and tags with matching words wrapped in <mark>).
+ * 
+ * pagination.nextCursor is null on the last page. Cursors are tied to the
+ * sort and order they were issued for.
  */
-router.get('/movies', async (req, res, next) => {
+router.get('/movies', validate('listMovies'), cacheResponse({ tags: () => ['movies'] }), async (req, res, next) => {
   try {
     const db = getDb();
     const moviesCollection = db.collection('movies');
@@ -24,60 +273,220 @@ router.get('/movies', async (req, res, next) => {
     // Parse query parameters
     const {
       search,
-      genre,
-      minRating,
-      limit = 20,
-      offset = 0,
-      sort = 'averageRating',
-      order = 'desc'
+      limit,
+      offset,
+      cursor,
+      includeTotal,
+      order
     } = req.query;
     
-    // Validate and parse numeric parameters
-    const limitNum = Math.min(parseInt(limit) || 20, 100); // Cap at 100
-    const offsetNum = parseInt(offset) || 0;
-    const minRatingNum = parseFloat(minRating);
+    const limitNum = Math.min(limit, 100); // Cap at 100
+    
+    const position = cursor ? decodeCursor(cursor) : null;
+    if (cursor && !position) {
+      throw new ValidationError('Invalid cursor', { code: 'INVALID_CURSOR' });
+    }
+    const offsetNum = position || offset === undefined ? 0 : offset;
+    const countTotal = includeTotal || (!position && offset !== undefined);
     
     // Build query filter
-    const filter = {};
+    const { filter, error } = buildMovieFilter(req.query);
+    if (error) {
+      throw new ValidationError(error);
+    }
+    
+    const facetNames = req.query.facets || [];
     
-    // Search by title (case-insensitive regex)
+    // Full-text search narrows the candidates to ranked matches
+    let ranked = null;
+    const searchFilter = {};
     if (search && search.trim()) {
-      filter.title = { $regex: search.trim(), $options: 'i' };
+      ranked = await searchMovies(db, search.trim());
+      
+      if (ranked) {
+        searchFilter.movieId = { $in: ranked.results.map(r => r.movieId) };
+      } else {
+        // Search index not built yet (see server/db/build_search_index.js), or
+        // the query is only stop words (see searchMovies)
+        searchFilter.title = { $regex: escapeRegex(search.trim()), $options: 'i' };
+      }
     }
+    Object.assign(filter, searchFilter);
     
-    if (genre) {
-      filter.genres = genre; // MongoDB will match if array contains this value
+    // Build sort options
+    const sortOptions = {};
+    let sortField = req.query.sort || (ranked ? 'relevance' : 'weightedRating');
+    if (sortField === 'relevance' && !ranked) {
+      sortField = 'weightedRating';
     }
+    const sortOrder = sortField === 'relevance' ? 'desc' : order;
+    const direction = sortOrder === 'asc' ? 1 : -1;
+    sortOptions[sortField] = direction;
+    sortOptions.movieId = direction;
     
-    if (!isNaN(minRatingNum)) {
-      filter.averageRating = { $gte: minRatingNum };
+    if (position && (position.s !== sortField || position.o !== sortOrder)) {
+      throw new ValidationError('Cursor does not match the requested sort', { code: 'INVALID_CURSOR' });
     }
     
-    // Build sort options
-    const sortOptions = {};
-    const validSortFields = ['averageRating', 'ratingCount', 'title', 'year'];
-    const sortField = validSortFields.includes(sort) ? sort : 'averageRating';
-    sortOptions[sortField] = order === 'asc' ? 1 : -1;
+    let movies;
+    let totalCount;
+    let hasMore;
+    const scores = ranked ? new Map(ranked.results.map(r => [r.movieId, r.score])) : null;
     
-    // Execute query
-    const movies = await moviesCollection
-      .find(filter)
-      .sort(sortOptions)
-      .skip(offsetNum)
-      .limit(limitNum)
+    if (sortField === 'relevance') {
+      // Candidates are capped, so rank and page them in memory
+      const matches = await moviesCollection.find(filter).toArray();
+      const compare = (a, b) => b.score - a.score || b.movieId - a.movieId;
+      const ordered = matches
+        .map(movie => ({ movie, score: scores.get(movie.movieId), movieId: movie.movieId }))
+        .sort(compare);
+      
+      const start = position
+        ? ordered.findIndex(entry => compare(entry, { score: position.v, movieId: position.id }) > 0)
+        : offsetNum;
+      const page = start === -1 ? [] : ordered.slice(start, start + limitNum + 1);
+      
+      movies = page.slice(0, limitNum).map(entry => entry.movie);
+      hasMore = page.length > limitNum;
+      totalCount = matches.length;
+    } else {
+      const query = position
+        ? { $and: [filter, afterCursorFilter(sortField, direction, position)] }
+        : filter;
+      
+      // Fetch one extra movie to learn whether another page exists
+      let cursorQuery = moviesCollection.find(query).sort(sortOptions);
+      if (offsetNum > 0) {
+        cursorQuery = cursorQuery.skip(offsetNum);
+      }
+      const page = await cursorQuery.limit(limitNum + 1).toArray();
+      
+      movies = page.slice(0, limitNum);
+      hasMore = page.length > limitNum;
+      
+      if (countTotal) {
+        totalCount = await moviesCollection.countDocuments(filter);
+      }
+    }
+    
+    const lastMovie = movies[movies.length - 1];
+    const nextCursor = hasMore && lastMovie
+      ? encodeCursor(sortField, sortOrder, lastMovie, sortField === 'relevance' ? scores.get(lastMovie.movieId) : lastMovie[sortField])
+      : null;
+    
+    if (ranked) {
+      const resultsById = new Map(ranked.results.map(r => [r.movieId, r]));
+      movies = movies.map(movie => {
+        const result = resultsById.get(movie.movieId);
+        return {
+          ...movie,
+          relevance: result.score,
+          highlights: highlightMovie(movie, result.tags, ranked.terms)
+        };
+      });
+    }
+    
+    const pagination = {
+      limit: limitNum,
+      hasMore,
+      nextCursor
+    };
+    if (!position) {
+      pagination.offset = offsetNum;
+    }
+    if (countTotal) {
+      pagination.total = totalCount;
+    }
+    
+    const response = { movies, pagination };
+    if (facetNames.length > 0) {
+      response.facets = await computeFacets(moviesCollection, req.query, searchFilter, [...new Set(facetNames)]);
+    }
+    
+    res.json(response);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/movies/trending
+ * Movies gaining ratings fastest within a recent time window
+ * 
+ * Query parameters:
+ * - window: "7d", "30d" or "365d" (default: "30d")
+ * - minRatings: Ratings needed within the window to qualify (default: 2)
+ * - limit: Number of movies to return (default: 10, max: 50)
+ * 
+ * Each rating in the window adds rating / 5 to a movie's score, scaled down by
+ * its age (the weight halves every quarter of the window), so many recent,
+ * positive ratings rank highest. The window ends at the newest rating rather
+ * than the current time, so a dataset that stopped collecting still trends.
+ */
+router.get('/movies/trending', validate('listTrendingMovies'), async (req, res, next) => {
+  try {
+    const db = getDb();
+    const ratingsCollection = db.collection('ratings');
+    
+    const { window, minRatings } = req.query;
+    const windowSeconds = TRENDING_WINDOWS[window];
+    const limitNum = Math.min(req.query.limit, 50);
+    
+    const [latest] = await ratingsCollection
+      .find({}, { projection: { _id: 0, timestamp: 1 } })
+      .sort({ timestamp: -1 })
+      .limit(1)
       .toArray();
     
-    // Get total count for pagination
-    const totalCount = await moviesCollection.countDocuments(filter);
+    if (!latest) {
+      return res.json({ window, windowStart: null, windowEnd: null, movies: [] });
+    }
+    
+    const windowEnd = latest.timestamp;
+    const windowStart = windowEnd - windowSeconds;
+    const decayPerSecond = Math.LN2 / (windowSeconds / 4);
+    
+    const trending = await ratingsCollection.aggregate([
+      { $match: { timestamp: { $gt: windowStart } } },
+      {
+        $group: {
+          _id: '$movieId',
+          ratings: { $sum: 1 },
+          averageRating: { $avg: '$rating' },
+          score: {
+            $sum: {
+              $multiply: [
+                { $divide: ['$rating', 5] },
+                { $exp: { $multiply: [-decayPerSecond, { $subtract: [windowEnd, '$timestamp'] }] } }
+              ]
+            }
+          }
+        }
+      },
+      { $match: { ratings: { $gte: minRatings } } },
+      { $sort: { score: -1, ratings: -1, _id: 1 } },
+      { $limit: limitNum }
+    ]).toArray();
+    
+    const movies = await db.collection('movies')
+      .find({ movieId: { $in: trending.map(t => t._id) } })
+      .toArray();
+    const moviesById = new Map(movies.map(m => [m.movieId, m]));
     
     res.json({
-      movies,
-      pagination: {
-        total: totalCount,
-        limit: limitNum,
-        offset: offsetNum,
-        hasMore: offsetNum + limitNum < totalCount
-      }
+      window,
+      windowStart: new Date(windowStart * 1000).toISOString(),
+      windowEnd: new Date(windowEnd * 1000).toISOString(),
+      movies: trending
+        .filter(t => moviesById.has(t._id))
+        .map(t => ({
+          ...moviesById.get(t._id),
+          trending: {
+            ratings: t.ratings,
+            averageRating: Math.round(t.averageRating * 100) / 100,
+            score: Math.round(t.score * 1000) / 1000
+          }
+        }))
     });
   } catch (error) {
     next(error);
@@ -93,8 +502,12 @@ router.get('/movies', async (req, res, next) => {
  * 
  * Query parameters:
  * - ratingsLimit: Number of recent ratings to include (default: 10)
+ * 
+ * Also returns ratingDistribution, the count of ratings at each half star from
+ * 0.5 to 5.0, and ratingTimeline, the count and mean rating per calendar month
+ * (UTC) from the first rating to the last, with empty months included.
  */
-router.get('/movies/:id', async (req, res, next) => {
+router.get('/movies/:id', validate('getMovie'), cacheResponse({ tags: req => [`movie:${req.params.id}`] }), async (req, res, next) => {
   try {
     const db = getDb();
     const moviesCollection = db.collection('movies');
@@ -102,18 +515,14 @@ router.get('/movies/:id', async (req, res, next) => {
     const tagsCollection = db.collection('tags');
     const linksCollection = db.collection('links');
     
-    const movieId = parseInt(req.params.id);
-    const ratingsLimit = Math.min(parseInt(req.query.ratingsLimit) || 10, 100);
-    
-    if (isNaN(movieId)) {
-      return res.status(400).json({ error: 'Invalid movie ID' });
-    }
+    const movieId = req.params.id;
+    const ratingsLimit = Math.min(req.query.ratingsLimit, 100);
     
     // Get movie details
     const movie = await moviesCollection.findOne({ movieId });
     
     if (!movie) {
-      return res.status(404).json({ error: 'Movie not found' });
+      throw new NotFoundError('Movie not found', 'MOVIE_NOT_FOUND');
     }
     
     // Get recent ratings for this movie
@@ -132,9 +541,16 @@ router.get('/movies/:id', async (req, res, next) => {
     // Get external links
     const links = await linksCollection.findOne({ movieId });
     
+    const [ratingDistribution, ratingTimeline] = await Promise.all([
+      getRatingDistribution(ratingsCollection, movieId),
+      getRatingTimeline(ratingsCollection, movieId)
+    ]);
+    
     res.json({
       movie,
       recentRatings,
+      ratingDistribution,
+      ratingTimeline,
       tags: tags.map(t => t.tag),
       links: links ? {
         imdb: links.imdbId ? `https://www.imdb.com/title/tt${links.imdbId}/` : null,
@@ -146,98 +562,414 @@ router.get('/movies/:id', async (req, res, next) => {
   }
 });
 
+/**
+ * Count a movie's ratings at each half star: [{ rating, count }] for 0.5 through 5.0
+ */
+async function getRatingDistribution(ratingsCollection, movieId) {
+  const counts = await ratingsCollection.aggregate([
+    { $match: { movieId } },
+    { $group: { _id: '$rating', count: { $sum: 1 } } }
+  ]).toArray();
+  const countsByRating = new Map(counts.map(c => [c._id, c.count]));
+  
+  return Array.from({ length: 10 }, (_, i) => {
+    const rating = (i + 1) / 2;
+    return { rating, count: countsByRating.get(rating) || 0 };
+  });
+}
+
+/**
+ * Monthly rating count and mean for a movie: [{ month: "YYYY-MM", count, averageRating }].
+ * Months without ratings between the first and last are filled with zero counts.
+ */
+async function getRatingTimeline(ratingsCollection, movieId) {
+  const months = await ratingsCollection.aggregate([
+    { $match: { movieId } },
+    {
+      $group: {
+        _id: { $dateToString: { format: '%Y-%m', date: { $toDate: { $multiply: ['$timestamp', 1000] } } } },
+        count: { $sum: 1 },
+        averageRating: { $avg: '$rating' }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]).toArray();
+  
+  if (months.length === 0) return [];
+  
+  const byMonth = new Map(months.map(m => [m._id, m]));
+  const [lastYear, lastMonth] = months[months.length - 1]._id.split('-').map(Number);
+  let [year, month] = months[0]._id.split('-').map(Number);
+  const timeline = [];
+  
+  while (year < lastYear || (year === lastYear && month <= lastMonth)) {
+    const key = `${year}-${String(month).padStart(2, '0')}`;
+    const entry = byMonth.get(key);
+    timeline.push({
+      month: key,
+      count: entry ? entry.count : 0,
+      averageRating: entry ? Math.round(entry.averageRating * 100) / 100 : null
+    });
+    
+    month += 1;
+    if (month > 12) {
+      month = 1;
+      year += 1;
+    }
+  }
+  
+  return timeline;
+}
+
+/**
+ * GET /api/movies/:id/similar
+ * Get movies whose ratings are most similar to this movie's ("more like this")
+ * Neighbors are precomputed by server/db/compute_similar.js
+ *
+ * Path parameters:
+ * - id: movieId (numeric)
+ *
+ * Query parameters:
+ * - limit: Number of similar movies to return (default: 10, max: 20)
+ */
+router.get('/movies/:id/similar', validate('listSimilarMovies'), async (req, res, next) => {
+  try {
+    const db = getDb();
+    const moviesCollection = db.collection('movies');
+    const similaritiesCollection = db.collection('similarities');
+
+    const movieId = req.params.id;
+    const limitNum = Math.min(req.query.limit, 20);
+
+    const [movie, neighbors] = await Promise.all([
+      moviesCollection.findOne({ movieId }, { projection: { movieId: 1 } }),
+      similaritiesCollection.findOne({ movieId })
+    ]);
+
+    if (!movie) {
+      throw new NotFoundError('Movie not found', 'MOVIE_NOT_FOUND');
+    }
+
+    // Movies without enough co-raters have no neighbors yet
+    const similar = neighbors ? neighbors.similar.slice(0, limitNum) : [];
+
+    const similarMovies = await moviesCollection
+      .find({ movieId: { $in: similar.map(s => s.movieId) } })
+      .toArray();
+    const moviesById = new Map(similarMovies.map(m => [m.movieId, m]));
+
+    res.json({
+      movieId,
+      similar: similar
+        .filter(s => moviesById.has(s.movieId))
+        .map(s => ({
+          ...moviesById.get(s.movieId),
+          similarity: s.similarity,
+          coRaters: s.coRaters
+        })),
+      computedAt: neighbors ? neighbors.computedAt : null
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * POST /api/movies/:id/rate
- * Submit a new rating for a movie
+ * Submit the signed-in user's rating for a movie. Each user has one rating
+ * per movie; rating again replaces the previous rating.
  * 
  * Path parameters:
  * - id: movieId (numeric)
  * 
  * Body (JSON):
- * - userId: User ID (numeric, required)
  * - rating: Rating value (0.5 - 5.0, in 0.5 increments, required)
+ * 
+ * Responds 201 for a new rating and 200 when an existing rating was replaced.
  */
-router.post('/movies/:id/rate', async (req, res, next) => {
+router.post('/movies/:id/rate', validate('rateMovie'), requireAuth, async (req, res, next) => {
   try {
     const db = getDb();
     const moviesCollection = db.collection('movies');
     const ratingsCollection = db.collection('ratings');
     
-    const movieId = parseInt(req.params.id);
-    const { userId, rating } = req.body;
+    const movieId = req.params.id;
+    const { userId } = req.user;
+    const ratingValue = req.body.rating;
     
-    // Validate input
-    if (isNaN(movieId)) {
-      return res.status(400).json({ error: 'Invalid movie ID' });
+    // Check if movie exists
+    const movie = await moviesCollection.findOne({ movieId });
+    if (!movie) {
+      throw new NotFoundError('Movie not found', 'MOVIE_NOT_FOUND');
     }
     
-    if (!userId || isNaN(parseInt(userId))) {
-      return res.status(400).json({ error: 'Valid userId is required' });
+    const newRating = {
+      userId,
+      movieId,
+      rating: ratingValue,
+      timestamp: Math.floor(Date.now() / 1000) // Unix timestamp
+    };
+    
+    // Movies imported before ratingSum existed get their totals first
+    await ensureRatingTotals(db, movie);
+    
+    // Insert or replace this user's rating, keeping the old one to adjust totals
+    const previous = await upsertRating(ratingsCollection, newRating);
+    
+    // Update totals atomically and derive the averages from them
+    const updatedMovie = previous
+      ? await applyRatingDelta(db, movieId, ratingValue - previous.rating, 0)
+      : await applyRatingDelta(db, movieId, ratingValue, 1);
+    if (!updatedMovie) {
+      // The movie was deleted while this request ran: take the rating back out
+      // so it doesn't outlive the movie (no totals were changed)
+      await ratingsCollection.deleteOne({ userId, movieId });
+      throw new NotFoundError('Movie not found', 'MOVIE_NOT_FOUND');
     }
+    await updateRaterCount(db, newRating.userId, previous ? 0 : 1);
+    await invalidateSharedCache(db, movieCacheTags(movieId));
     
-    if (!rating || isNaN(parseFloat(rating))) {
-      return res.status(400).json({ error: 'Valid rating is required' });
+    res.status(previous ? 200 : 201).json({
+      message: previous ? 'Rating updated successfully' : 'Rating submitted successfully',
+      rating: newRating,
+      previousRating: previous ? previous.rating : null,
+      updatedMovie: {
+        movieId,
+        averageRating: updatedMovie.averageRating,
+        ratingCount: updatedMovie.ratingCount,
+        weightedRating: updatedMovie.weightedRating
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Insert a rating, or replace the user's existing rating for the movie.
+ * Returns the previous rating document, or null if this is the first one.
+ */
+async function upsertRating(ratingsCollection, rating) {
+  const filter = { userId: rating.userId, movieId: rating.movieId };
+  const update = { $set: { rating: rating.rating, timestamp: rating.timestamp } };
+  
+  try {
+    return await ratingsCollection.findOneAndUpdate(filter, update, { upsert: true, returnDocument: 'before' });
+  } catch (error) {
+    // Two first-time submissions raced and the unique index rejected one: it's now a replace
+    if (error.code === 11000) {
+      return await ratingsCollection.findOneAndUpdate(filter, update, { returnDocument: 'before' });
+    }
+    throw error;
+  }
+}
+
+/**
+ * DELETE /api/movies/:id/ratings/:userId
+ * Remove a user's rating for a movie. Users can only remove their own.
+ * 
+ * Path parameters:
+ * - id: movieId (numeric)
+ * - userId: User ID (numeric)
+ */
+router.delete('/movies/:id/ratings/:userId', validate('deleteRating'), requireAuth, async (req, res, next) => {
+  try {
+    const db = getDb();
+    const moviesCollection = db.collection('movies');
+    const ratingsCollection = db.collection('ratings');
+    
+    const movieId = req.params.id;
+    const userId = req.params.userId;
+    
+    if (userId !== req.user.userId) {
+      throw new ForbiddenError('You can only remove your own ratings', 'NOT_RATING_OWNER');
+    }
+    
+    const movie = await moviesCollection.findOne({ movieId });
+    if (!movie) {
+      throw new NotFoundError('Movie not found', 'MOVIE_NOT_FOUND');
+    }
+    
+    await ensureRatingTotals(db, movie);
+    
+    const deleted = await ratingsCollection.findOneAndDelete({ movieId, userId });
+    if (!deleted) {
+      throw new NotFoundError('Rating not found', 'RATING_NOT_FOUND');
     }
     
-    const ratingValue = parseFloat(rating);
-    if (ratingValue < 0.5 || ratingValue > 5.0) {
-      return res.status(400).json({ error: 'Rating must be between 0.5 and 5.0' });
+    const updatedMovie = await applyRatingDelta(db, movieId, -deleted.rating, -1);
+    if (!updatedMovie) {
+      // The movie was deleted while this request ran. The rating is gone
+      // either way, so this still succeeds; only the platform totals held it.
+      await incrementPlatformStats(db, { ratingSum: -deleted.rating, ratingCount: -1 });
+    }
+    await updateRaterCount(db, userId, -1);
+    await invalidateSharedCache(db, movieCacheTags(movieId));
+    
+    res.json({
+      message: 'Rating deleted successfully',
+      rating: deleted,
+      updatedMovie: updatedMovie && {
+        movieId,
+        averageRating: updatedMovie.averageRating,
+        ratingCount: updatedMovie.ratingCount,
+        weightedRating: updatedMovie.weightedRating
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/movies/:id/tags
+ * Add a tag to a movie as the signed-in user
+ * 
+ * Path parameters:
+ * - id: movieId (numeric)
+ * 
+ * Body (JSON):
+ * - tag: Tag text (1-50 characters: letters, numbers, spaces and basic punctuation, required)
+ */
+router.post('/movies/:id/tags', validate('addTag'), requireAuth, async (req, res, next) => {
+  try {
+    const db = getDb();
+    const moviesCollection = db.collection('movies');
+    const tagsCollection = db.collection('tags');
+    
+    const movieId = req.params.id;
+    const { userId } = req.user;
+    const tag = normalizeTag(req.body.tag);
+    
+    // Validate input
+    if (!tag) {
+      throw new ValidationError('Tag is required', { code: 'INVALID_TAG' });
+    }
+    
+    if (tag.length > MAX_TAG_LENGTH) {
+      throw new ValidationError(`Tag must be at most ${MAX_TAG_LENGTH} characters`, { code: 'INVALID_TAG' });
+    }
+    
+    if (!TAG_PATTERN.test(tag)) {
+      throw new ValidationError('Tag may only contain letters, numbers, spaces and basic punctuation', { code: 'INVALID_TAG' });
     }
     
     // Check if movie exists
     const movie = await moviesCollection.findOne({ movieId });
     if (!movie) {
-      return res.status(404).json({ error: 'Movie not found' });
+      throw new NotFoundError('Movie not found', 'MOVIE_NOT_FOUND');
     }
     
-    // Insert new rating
-    const newRating = {
-      userId: parseInt(userId),
+    // Reject tags this user already applied, ignoring case and spacing. Tags
+    // stored before tagKey existed are only caught by this check; the unique
+    // { userId, movieId, tagKey } index catches concurrent requests.
+    const key = tagKey(tag);
+    const existing = await tagsCollection
+      .find({ movieId, userId })
+      .toArray();
+    
+    if (existing.some(t => tagKey(t.tag) === key)) {
+      throw new ConflictError('You have already applied this tag to this movie', 'TAG_ALREADY_APPLIED');
+    }
+    
+    const newTag = {
+      userId,
       movieId,
-      rating: ratingValue,
+      tag,
+      tagKey: key,
       timestamp: Math.floor(Date.now() / 1000) // Unix timestamp
     };
     
-    await ratingsCollection.insertOne(newRating);
+    try {
+      await tagsCollection.insertOne(newTag);
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ConflictError('You have already applied this tag to this movie', 'TAG_ALREADY_APPLIED');
+      }
+      throw error;
+    }
+    await incrementPlatformStats(db, { tagCount: 1 });
+    await refreshSearchDocument(db, movieId);
+    await invalidateSharedCache(db, movieCacheTags(movieId));
     
-    // Recalculate movie statistics
-    const allRatings = await ratingsCollection
-      .find({ movieId })
-      .toArray();
+    res.status(201).json({
+      message: 'Tag added successfully',
+      tag: newTag
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/movies/:id/tags/:tag
+ * Remove a tag the signed-in user applied to a movie (matched ignoring case and spacing)
+ * 
+ * Path parameters:
+ * - id: movieId (numeric)
+ * - tag: Tag text
+ */
+router.delete('/movies/:id/tags/:tag', validate('removeTag'), requireAuth, async (req, res, next) => {
+  try {
+    const db = getDb();
+    const tagsCollection = db.collection('tags');
     
-    const totalRating = allRatings.reduce((sum, r) => sum + r.rating, 0);
-    const averageRating = Math.round((totalRating / allRatings.length) * 100) / 100;
+    const movieId = req.params.id;
+    const { userId } = req.user;
+    const key = tagKey(req.params.tag);
     
-    // Update movie with new statistics
-    await moviesCollection.updateOne(
-      { movieId },
-      {
-        $set: {
-          averageRating,
-          ratingCount: allRatings.length
-        }
-      }
-    );
+    const matching = (await tagsCollection
+      .find({ movieId, userId })
+      .toArray())
+      .filter(t => tagKey(t.tag) === key);
     
-    res.status(201).json({
-      message: 'Rating submitted successfully',
-      rating: newRating,
-      updatedMovie: {
-        movieId,
-        averageRating,
-        ratingCount: allRatings.length
-      }
+    if (matching.length === 0) {
+      throw new NotFoundError('Tag not found', 'TAG_NOT_FOUND');
+    }
+    
+    // Tags stored before tagKey existed can repeat; remove every copy
+    const result = await tagsCollection.deleteMany({ _id: { $in: matching.map(t => t._id) } });
+    await incrementPlatformStats(db, { tagCount: -result.deletedCount });
+    await refreshSearchDocument(db, movieId);
+    await invalidateSharedCache(db, movieCacheTags(movieId));
+    
+    res.json({
+      message: 'Tag removed successfully',
+      deletedCount: result.deletedCount
     });
   } catch (error) {
     next(error);
   }
 });
 
+/**
+ * GET /api/search/suggest
+ * Suggest movie titles as the user types, tolerating typos ("termnator")
+ * 
+ * Query parameters:
+ * - q: Partial title (at least 2 characters)
+ * - limit: Number of suggestions to return (default: 8, max: 20)
+ */
+router.get('/search/suggest', validate('suggestTitles'), async (req, res, next) => {
+  try {
+    const db = getDb();
+    
+    const q = (req.query.q || '').trim();
+    const limitNum = Math.min(req.query.limit, 20);
+    
+    const suggestions = q ? await suggestTitles(db, q, limitNum) : [];
+    
+    res.json({ query: q, suggestions });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * GET /api/genres
  * Get list of all unique genres in the database
  */
-router.get('/genres', async (req, res, next) => {
+router.get('/genres', validate('listGenres'), cacheResponse({ tags: () => ['genres'], ttlSeconds: 3600, maxAge: 300 }), async (req, res, next) => {
   try {
     const db = getDb();
     const moviesCollection = db.collection('movies');
@@ -254,26 +986,359 @@ router.get('/genres', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/tags
+ * List distinct tags with usage counts (tag cloud)
+ * 
+ * Query parameters:
+ * - q: Only include tags with a word starting with this text (case-insensitive)
+ * - limit: Number of tags to return (default: 50, max: 200)
+ */
+router.get('/tags', validate('listTags'), async (req, res, next) => {
+  try {
+    const db = getDb();
+    const tagsCollection = db.collection('tags');
+    
+    const q = (req.query.q || '').trim();
+    const limitNum = Math.min(req.query.limit, 200);
+    
+    const pipeline = [];
+    
+    if (q) {
+      pipeline.push({ $match: { tag: { $regex: `(^|\\s)${escapeRegex(q)}`, $options: 'i' } } });
+    }
+    
+    pipeline.push(
+      // Collapse to one row per (tag, movie) so movies can be counted
+      { $group: { _id: { tag: '$tag', movieId: '$movieId' }, count: { $sum: 1 } } },
+      { $group: { _id: '$_id.tag', count: { $sum: '$count' }, movieCount: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: limitNum },
+      { $project: { _id: 0, tag: '$_id', count: 1, movieCount: 1 } }
+    );
+    
+    const tags = await tagsCollection.aggregate(pipeline).toArray();
+    
+    res.json({ tags });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/tags/:tag/movies
+ * List movies with a tag, ranked by how many users applied it
+ * 
+ * Path parameters:
+ * - tag: Tag text (exact match)
+ * 
+ * Query parameters:
+ * - limit: Number of results per page (default: 20, max: 100)
+ * - offset: Number of results to skip (default: 0)
+ */
+router.get('/tags/:tag/movies', validate('listTagMovies'), async (req, res, next) => {
+  try {
+    const db = getDb();
+    const moviesCollection = db.collection('movies');
+    const tagsCollection = db.collection('tags');
+    
+    const tag = req.params.tag;
+    const limitNum = Math.min(req.query.limit, 100);
+    const offsetNum = req.query.offset;
+    
+    // Count distinct users per movie, not raw tag rows
+    const ranked = await tagsCollection.aggregate([
+      { $match: { tag } },
+      { $group: { _id: { movieId: '$movieId', userId: '$userId' } } },
+      { $group: { _id: '$_id.movieId', userCount: { $sum: 1 } } },
+      { $sort: { userCount: -1, _id: 1 } }
+    ]).toArray();
+    
+    const page = ranked.slice(offsetNum, offsetNum + limitNum);
+    const movies = await moviesCollection
+      .find({ movieId: { $in: page.map(r => r._id) } })
+      .toArray();
+    const moviesById = new Map(movies.map(m => [m.movieId, m]));
+    
+    res.json({
+      tag,
+      movies: page
+        .filter(r => moviesById.has(r._id))
+        .map(r => ({ ...moviesById.get(r._id), tagUserCount: r.userCount })),
+      pagination: {
+        total: ranked.length,
+        limit: limitNum,
+        offset: offsetNum,
+        hasMore: offsetNum + limitNum < ranked.length
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * GET /api/stats
  * Get database statistics
+ * 
+ * Served from the stats document, which writes keep current. updatedAt is the
+ * last change to it and reconciledAt the last full recount.
+ */
+router.get('/stats', validate('getStats'), cacheResponse({ tags: () => ['stats'], ttlSeconds: 60 }), async (req, res, next) => {
+  try {
+    const db = getDb();
+    
+    const stats = await getPlatformStats(db);
+    
+    res.json({
+      movies: stats.movieCount,
+      ratings: stats.ratingCount,
+      tags: stats.tagCount,
+      users: stats.userCount,
+      updatedAt: stats.updatedAt,
+      reconciledAt: stats.reconciledAt
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/analytics/genres
+ * Per-genre movie counts, mean rating and rating volume, overall and by release decade
+ * 
+ * Query parameters:
+ * - minRatings: Ratings a genre needs within a decade for that decade to be
+ *               included (default: 1), to keep thin decades out of trend lines
+ * 
+ * Means are over all ratings of the genre's movies (each rating counts once),
+ * computed from the ratingSum and ratingCount kept on every movie. Databases
+ * imported before those totals existed get them at the first platform stats
+ * reconciliation (see reconcilePlatformStats).
  */
-router.get('/stats', async (req, res, next) => {
+router.get('/analytics/genres', validate('getGenreAnalytics'), async (req, res, next) => {
   try {
     const db = getDb();
+    const moviesCollection = db.collection('movies');
     
-    const [movieCount, ratingCount, tagCount, userCount] = await Promise.all([
-      db.collection('movies').countDocuments(),
-      db.collection('ratings').countDocuments(),
-      db.collection('tags').countDocuments(),
-      db.collection('ratings').distinct('userId').then(users => users.length)
+    const { minRatings } = req.query;
+    
+    const groupTotals = {
+      movieCount: { $sum: 1 },
+      ratedMovieCount: { $sum: { $cond: [{ $gt: ['$ratingCount', 0] }, 1, 0] } },
+      ratingSum: { $sum: '$ratingSum' },
+      ratingCount: { $sum: '$ratingCount' }
+    };
+    
+    const [byGenre, byGenreDecade, [overall]] = await Promise.all([
+      moviesCollection.aggregate([
+        { $unwind: '$genres' },
+        { $group: { _id: '$genres', ...groupTotals } }
+      ]).toArray(),
+      moviesCollection.aggregate([
+        { $match: { year: { $ne: null } } },
+        { $unwind: '$genres' },
+        {
+          $group: {
+            _id: { genre: '$genres', decade: { $subtract: ['$year', { $mod: ['$year', 10] }] } },
+            ...groupTotals
+          }
+        },
+        { $match: { ratingCount: { $gte: minRatings } } },
+        { $sort: { '_id.decade': 1 } }
+      ]).toArray(),
+      moviesCollection.aggregate([
+        { $group: { _id: null, ratingSum: { $sum: '$ratingSum' }, ratingCount: { $sum: '$ratingCount' } } }
+      ]).toArray()
     ]);
     
+    const mean = totals => (totals.ratingCount > 0
+      ? Math.round((totals.ratingSum / totals.ratingCount) * 100) / 100
+      : null);
+    
+    const decadesByGenre = new Map();
+    byGenreDecade.forEach(row => {
+      const decades = decadesByGenre.get(row._id.genre) || [];
+      decades.push({
+        decade: row._id.decade,
+        movieCount: row.movieCount,
+        ratingCount: row.ratingCount,
+        averageRating: mean(row)
+      });
+      decadesByGenre.set(row._id.genre, decades);
+    });
+    
+    const genres = byGenre
+      .map(row => ({
+        genre: row._id,
+        movieCount: row.movieCount,
+        ratedMovieCount: row.ratedMovieCount,
+        ratingCount: row.ratingCount,
+        averageRating: mean(row),
+        decades: decadesByGenre.get(row._id) || []
+      }))
+      .sort((a, b) => b.ratingCount - a.ratingCount || a.genre.localeCompare(b.genre));
+    
     res.json({
-      movies: movieCount,
-      ratings: ratingCount,
-      tags: tagCount,
-      users: userCount
+      globalAverage: overall ? mean(overall) : null,
+      decades: [...new Set(byGenreDecade.map(row => row._id.decade))].sort((a, b) => a - b),
+      genres
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/users/:userId
+ * Get a user's profile: rating summary, rating history, tags and genre affinity
+ *
+ * Path parameters:
+ * - userId: User ID (numeric)
+ *
+ * Query parameters:
+ * - limit: Number of history entries per page (default: 20, max: 100)
+ * - offset: Number of history entries to skip (default: 0)
+ */
+router.get('/users/:userId', validate('getUser'), async (req, res, next) => {
+  try {
+    const db = getDb();
+    const moviesCollection = db.collection('movies');
+    const ratingsCollection = db.collection('ratings');
+    const tagsCollection = db.collection('tags');
+
+    const userId = req.params.userId;
+    const limitNum = Math.min(req.query.limit, 100);
+    const offsetNum = req.query.offset;
+
+    // The full rating list is needed for the summary and genre affinity anyway
+    const [ratings, tags] = await Promise.all([
+      ratingsCollection
+        .find({ userId }, { projection: { _id: 0, movieId: 1, rating: 1, timestamp: 1 } })
+        .sort({ timestamp: -1 })
+        .toArray(),
+      tagsCollection
+        .find({ userId }, { projection: { _id: 0, movieId: 1, tag: 1, timestamp: 1 } })
+        .sort({ timestamp: -1 })
+        .limit(100)
+        .toArray()
+    ]);
+
+    if (ratings.length === 0 && tags.length === 0) {
+      throw new NotFoundError('User not found', 'USER_NOT_FOUND');
+    }
+
+    const movieIds = [...new Set([...ratings, ...tags].map(r => r.movieId))];
+    const movies = await moviesCollection
+      .find(
+        { movieId: { $in: movieIds } },
+        { projection: { _id: 0, movieId: 1, title: 1, year: 1, genres: 1, averageRating: 1 } }
+      )
+      .toArray();
+    const moviesById = new Map(movies.map(m => [m.movieId, m]));
+
+    // Compare the user's ratings against the global average of the same movies, per genre
+    const genreTotals = {};
+    ratings.forEach(r => {
+      const movie = moviesById.get(r.movieId);
+      if (!movie) return;
+      movie.genres.forEach(genre => {
+        if (!genreTotals[genre]) {
+          genreTotals[genre] = { count: 0, userSum: 0, globalSum: 0 };
+        }
+        genreTotals[genre].count += 1;
+        genreTotals[genre].userSum += r.rating;
+        genreTotals[genre].globalSum += movie.averageRating;
+      });
+    });
+
+    const genreAffinity = Object.entries(genreTotals)
+      .map(([genre, totals]) => {
+        const averageRating = totals.userSum / totals.count;
+        const globalAverage = totals.globalSum / totals.count;
+        return {
+          genre,
+          ratingCount: totals.count,
+          averageRating: Math.round(averageRating * 100) / 100,
+          globalAverage: Math.round(globalAverage * 100) / 100,
+          affinity: Math.round((averageRating - globalAverage) * 100) / 100
+        };
+      })
+      .sort((a, b) => b.affinity - a.affinity);
+
+    const totalRating = ratings.reduce((sum, r) => sum + r.rating, 0);
+    const withTitle = entry => {
+      const movie = moviesById.get(entry.movieId);
+      return { ...entry, title: movie ? movie.title : null, year: movie ? movie.year : null };
+    };
+
+    res.json({
+      userId,
+      ratingCount: ratings.length,
+      averageRating: ratings.length > 0 ? Math.round((totalRating / ratings.length) * 100) / 100 : null,
+      ratings: ratings.slice(offsetNum, offsetNum + limitNum).map(withTitle),
+      tags: tags.map(withTitle),
+      genreAffinity,
+      pagination: {
+        total: ratings.length,
+        limit: limitNum,
+        offset: offsetNum,
+        hasMore: offsetNum + limitNum < ratings.length
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/users/:userId/recommendations
+ * Get personalized movie recommendations for a user
+ * Recommendations are precomputed by server/db/train_recommendations.js
+ *
+ * Path parameters:
+ * - userId: User ID (numeric)
+ *
+ * Query parameters:
+ * - limit: Number of recommendations to return (default: 10, max: 50)
+ */
+router.get('/users/:userId/recommendations', validate('getRecommendations'), async (req, res, next) => {
+  try {
+    const db = getDb();
+    const moviesCollection = db.collection('movies');
+    const ratingsCollection = db.collection('ratings');
+    const recommendationsCollection = db.collection('recommendations');
+
+    const userId = req.params.userId;
+    const limitNum = Math.min(req.query.limit, 50);
+
+    const [stored, rated] = await Promise.all([
+      recommendationsCollection.findOne({ userId }),
+      ratingsCollection
+        .find({ userId }, { projection: { _id: 0, movieId: 1 } })
+        .toArray()
+    ]);
+
+    // Skip anything the user has rated since the model was last trained
+    const ratedMovieIds = new Set(rated.map(r => r.movieId));
+    const recommendations = (stored ? stored.recommendations : [])
+      .filter(r => !ratedMovieIds.has(r.movieId))
+      .slice(0, limitNum);
+
+    const movies = await moviesCollection
+      .find({ movieId: { $in: recommendations.map(r => r.movieId) } })
+      .toArray();
+    const moviesById = new Map(movies.map(m => [m.movieId, m]));
+
+    res.json({
+      userId,
+      recommendations: recommendations
+        .filter(r => moviesById.has(r.movieId))
+        .map(r => ({
+          ...moviesById.get(r.movieId),
+          predictedRating: Math.min(Math.max(r.score, 0.5), 5.0)
+        })),
+      computedAt: stored ? stored.computedAt : null
     });
   } catch (error) {
     next(error);
@@ -284,21 +1349,28 @@ router.get('/stats', async (req, res, next) => {
 
 /**
  * GET /api/firebase-config
- * Provides Firebase configuration for client-side SDK
+ * Provides Firebase configuration for client-side SDK, including the Auth
+ * emulator's address when the server is set up to use one
  */
-router.get('/firebase-config', async (req, res, next) => {
+router.get('/firebase-config', validate('getFirebaseConfig'), async (req, res, next) => {
   try {
     const projectId = process.env.PROJECT_ID || 
                       process.env.GOOGLE_CLOUD_PROJECT;
     const databaseId = process.env.FIRESTORE_DATABASE || 'cymbalflix-db';
+    const authEmulatorHost = process.env.FIREBASE_AUTH_EMULATOR_HOST || null;
     
     if (!projectId) {
-      return res.status(500).json({ 
-        error: 'PROJECT_ID not configured' 
-      });
+      throw new ApiError('Firebase is not configured on this server', { code: 'FIREBASE_NOT_CONFIGURED' });
     }
     
-    res.json({ projectId, databaseId });
+    res.json({
+      projectId,
+      databaseId,
+      // The Auth emulator accepts any API key
+      apiKey: process.env.FIREBASE_API_KEY || (authEmulatorHost ? 'emulator-api-key' : null),
+      authDomain: process.env.FIREBASE_AUTH_DOMAIN || `${projectId}.firebaseapp.com`,
+      authEmulatorHost
+    });
   } catch (error) {
     next(error);
   }
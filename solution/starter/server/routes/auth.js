@@ -0,0 +1,114 @@
+const express = require('express');
+const { getDb } = require('../db/connection');
+const { createAccount, authenticate, createSession, deleteSession } = require('../db/accounts');
+const { setSessionCookie, clearSessionCookie, userFromFirebaseToken, requireAuth } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { UnauthorizedError, ConflictError } = require('../errors');
+
+const router = express.Router();
+
+/**
+ * The public view of an account
+ */
+function accountResponse(account) {
+  return { userId: account.userId, email: account.email || null };
+}
+
+/**
+ * POST /api/auth/register
+ * Create an account and log in as it
+ * 
+ * Body (JSON):
+ * - email: Email address (required)
+ * - password: Password (8-128 characters, required)
+ */
+router.post('/register', validate('register'), async (req, res, next) => {
+  try {
+    const db = getDb();
+    
+    const account = await createAccount(db, req.body);
+    if (!account) {
+      throw new ConflictError('An account with this email already exists', 'EMAIL_TAKEN');
+    }
+    
+    const { token } = await createSession(db, account);
+    setSessionCookie(res, token);
+    
+    res.status(201).json({ user: accountResponse(account) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/login
+ * Log in with an email and password
+ * 
+ * Body (JSON):
+ * - email: Email address (required)
+ * - password: Password (required)
+ */
+router.post('/login', validate('login'), async (req, res, next) => {
+  try {
+    const db = getDb();
+    
+    const account = await authenticate(db, req.body);
+    if (!account) {
+      throw new UnauthorizedError('Incorrect email or password', 'INVALID_CREDENTIALS');
+    }
+    
+    const { token } = await createSession(db, account);
+    setSessionCookie(res, token);
+    
+    res.json({ user: accountResponse(account) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * End the current session
+ */
+router.post('/logout', validate('logout'), async (req, res, next) => {
+  try {
+    if (req.sessionToken) {
+      await deleteSession(getDb(), req.sessionToken);
+    }
+    clearSessionCookie(res);
+    
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/firebase
+ * The account for the Firebase user whose ID token is in the Authorization
+ * header, creating it if needed. Anonymous Firebase users call this before
+ * their first rating to be given a userId.
+ */
+router.post('/firebase', validate('linkFirebaseUser'), async (req, res, next) => {
+  try {
+    if (!req.firebaseToken) {
+      throw new UnauthorizedError('Send a Firebase ID token as "Authorization: Bearer <token>"');
+    }
+    
+    const user = req.user || await userFromFirebaseToken(req.firebaseToken, { create: true });
+    res.json({ user: accountResponse(user) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/auth/me
+ * The signed-in user; 401 when not logged in. Firebase Auth clients call this
+ * with their ID token to learn the userId their account rates as.
+ */
+router.get('/me', validate('getCurrentUser'), requireAuth, (req, res) => {
+  res.json({ user: accountResponse(req.user) });
+});
+
+module.exports = router;
@@ -0,0 +1,139 @@
+// server/search/analyzer.js
+// Text analysis shared by the search index builder and the query path:
+// tokenizing, stop word removal, stemming and highlighting.
+const { stemmer } = require('porter-stemmer');
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have',
+  'he', 'her', 'his', 'if', 'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or', 's',
+  'she', 'so', 't', 'that', 'the', 'their', 'them', 'they', 'this', 'to', 'was',
+  'were', 'which', 'while', 'who', 'will', 'with'
+]);
+
+/**
+ * Lowercase and strip diacritics so "Amélie" matches "amelie"
+ */
+function fold(text) {
+  return text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Reduce a single word to its index term, or null for stop words
+ */
+function termFor(word) {
+  const folded = fold(word);
+  if (STOP_WORDS.has(folded)) return null;
+  return stemmer(folded);
+}
+
+/**
+ * Split text into index terms (folded, stop words removed, stemmed)
+ */
+function analyze(text) {
+  if (!text) return [];
+  return (String(text).match(WORD_PATTERN) || [])
+    .map(termFor)
+    .filter(Boolean);
+}
+
+/**
+ * Count occurrences of each term: ['run', 'run', 'fast'] -> { run: 2, fast: 1 }
+ */
+function termFrequencies(terms) {
+  return terms.reduce((acc, term) => {
+    acc[term] = (acc[term] || 0) + 1;
+    return acc;
+  }, {});
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Find the character ranges of words in text whose term is in the query set
+ */
+function matchRanges(text, queryTerms) {
+  const ranges = [];
+  for (const match of text.matchAll(WORD_PATTERN)) {
+    if (queryTerms.has(termFor(match[0]))) {
+      ranges.push([match.index, match.index + match[0].length]);
+    }
+  }
+  return ranges;
+}
+
+/**
+ * HTML-escape text and wrap matching words in <mark>
+ */
+function markRanges(text, ranges) {
+  let html = '';
+  let position = 0;
+  for (const [start, end] of ranges) {
+    html += escapeHtml(text.slice(position, start));
+    html += `<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+    position = end;
+  }
+  return html + escapeHtml(text.slice(position));
+}
+
+/**
+ * Highlight every matching word in a short field such as a title.
+ * Returns escaped HTML, or null when nothing matches.
+ */
+function highlight(text, queryTerms) {
+  if (!text) return null;
+  const ranges = matchRanges(text, queryTerms);
+  return ranges.length > 0 ? markRanges(text, ranges) : null;
+}
+
+/**
+ * Pick the window of a long field with the most matching words and highlight it.
+ * Returns escaped HTML with ellipses where the text was cut, or null when nothing matches.
+ */
+function snippet(text, queryTerms, maxLength = 200) {
+  if (!text) return null;
+  const ranges = matchRanges(text, queryTerms);
+  if (ranges.length === 0) return null;
+
+  // Start the window at the match that has the most other matches after it
+  let best = 0;
+  let bestCount = 0;
+  ranges.forEach(([start], i) => {
+    let count = 0;
+    for (let j = i; j < ranges.length && ranges[j][1] - start <= maxLength; j++) count++;
+    if (count > bestCount) {
+      best = i;
+      bestCount = count;
+    }
+  });
+
+  // Back up a little for context, snapping to a word boundary
+  let start = Math.max(0, ranges[best][0] - 40);
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    start = space !== -1 && space < ranges[best][0] ? space + 1 : ranges[best][0];
+  }
+  let end = Math.min(text.length, start + maxLength);
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    if (space > ranges[best][1]) end = space;
+  }
+
+  const windowRanges = ranges
+    .filter(([s, e]) => s >= start && e <= end)
+    .map(([s, e]) => [s - start, e - start]);
+
+  return (start > 0 ? '…' : '') +
+    markRanges(text.slice(start, end), windowRanges) +
+    (end < text.length ? '…' : '');
+}
+
+module.exports = { fold, analyze, termFrequencies, highlight, snippet };
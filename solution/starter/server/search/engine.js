@@ -0,0 +1,187 @@
+// server/search/engine.js
+// Relevance-ranked movie search over the searchIndex collection.
+//
+// Each movie has one search document holding per-field term frequencies for
+// its title, summary and tags. Queries are scored with BM25F: term frequencies
+// are length-normalized per field, weighted, and combined with inverse document
+// frequency so rare words count for more than common ones.
+const { analyze, termFrequencies, highlight, snippet } = require('./analyzer');
+const { normalizeTag, tagKey } = require('../db/tags');
+
+const SEARCH_COLLECTION = 'searchIndex';
+
+// Title matches matter most, then tags users applied, then plot summary
+const FIELD_WEIGHTS = { title: 3.0, tags: 1.5, summary: 1.0 };
+const K1 = 1.2;
+const B = 0.75;
+
+const MAX_CANDIDATES = 500;
+const STATS_TTL_MS = 10 * 60 * 1000;
+
+let cachedStats = null;
+let cachedStatsAt = 0;
+
+/**
+ * Build the search document for a movie from its fields and tag strings
+ */
+function buildSearchDocument(movie, tags = []) {
+  // Tags differing only by case or spacing are one tag for display purposes
+  const distinctTags = [...new Map(tags.map(tag => [tagKey(tag), normalizeTag(tag)])).values()];
+
+  const analyzed = {
+    title: analyze(movie.title),
+    summary: analyze(movie.summary),
+    tags: tags.flatMap(analyze)
+  };
+
+  const fields = {};
+  const lengths = {};
+  const terms = new Set();
+  Object.entries(analyzed).forEach(([field, fieldTerms]) => {
+    fields[field] = termFrequencies(fieldTerms);
+    lengths[field] = fieldTerms.length;
+    fieldTerms.forEach(term => terms.add(term));
+  });
+
+  return {
+    movieId: movie.movieId,
+    terms: [...terms],
+    fields,
+    lengths,
+    tags: distinctTags
+  };
+}
+
+/**
+ * Rebuild one movie's search document, e.g. after its tags change
+ */
+async function refreshSearchDocument(db, movieId) {
+  const searchCollection = db.collection(SEARCH_COLLECTION);
+
+  const [movie, tags] = await Promise.all([
+    db.collection('movies').findOne({ movieId }, { projection: { movieId: 1, title: 1, summary: 1 } }),
+    db.collection('tags').find({ movieId }, { projection: { tag: 1 } }).toArray()
+  ]);
+
+  if (!movie) {
+    await searchCollection.deleteOne({ movieId });
+    return;
+  }
+
+  const document = buildSearchDocument(movie, tags.map(t => t.tag));
+  await searchCollection.replaceOne(
+    { movieId },
+    { ...document, indexedAt: new Date() },
+    { upsert: true }
+  );
+}
+
+/**
+ * Document count and average field lengths, cached since they drift slowly
+ */
+async function getIndexStats(db) {
+  if (cachedStats && Date.now() - cachedStatsAt < STATS_TTL_MS) {
+    return cachedStats;
+  }
+
+  const [result] = await db.collection(SEARCH_COLLECTION).aggregate([
+    {
+      $group: {
+        _id: null,
+        documentCount: { $sum: 1 },
+        title: { $avg: '$lengths.title' },
+        summary: { $avg: '$lengths.summary' },
+        tags: { $avg: '$lengths.tags' }
+      }
+    }
+  ]).toArray();
+
+  cachedStats = result ? {
+    documentCount: result.documentCount,
+    averageLengths: { title: result.title || 1, summary: result.summary || 1, tags: result.tags || 1 }
+  } : { documentCount: 0, averageLengths: {} };
+  cachedStatsAt = Date.now();
+
+  return cachedStats;
+}
+
+/**
+ * Score movies against a free-text query.
+ *
+ * Returns null when the query can't be ranked, so callers fall back to a plain
+ * title match: the search index has not been built, or the query is made only
+ * of stop words ("The Who"). Otherwise returns { terms, results } where terms
+ * is the Set of analyzed query terms and results holds up to MAX_CANDIDATES
+ * { movieId, score, tags } ordered by score.
+ */
+async function searchMovies(db, query) {
+  const terms = [...new Set(analyze(query))];
+  if (terms.length === 0) {
+    return null;
+  }
+
+  const stats = await getIndexStats(db);
+  if (stats.documentCount === 0) {
+    return null;
+  }
+
+  const documents = await db.collection(SEARCH_COLLECTION)
+    .find({ terms: { $in: terms } }, { projection: { _id: 0, movieId: 1, fields: 1, lengths: 1, tags: 1 } })
+    .toArray();
+
+  // Every document containing any query term was fetched, so document
+  // frequencies can be counted directly from the results
+  const idf = {};
+  terms.forEach(term => {
+    const df = documents.filter(doc => Object.keys(FIELD_WEIGHTS).some(f => doc.fields[f] && doc.fields[f][term])).length;
+    idf[term] = Math.log(1 + (stats.documentCount - df + 0.5) / (df + 0.5));
+  });
+
+  const results = documents.map(doc => {
+    let score = 0;
+    let matched = 0;
+
+    terms.forEach(term => {
+      let weightedFrequency = 0;
+      Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+        const frequency = (doc.fields[field] && doc.fields[field][term]) || 0;
+        if (frequency === 0) return;
+        const lengthRatio = (doc.lengths[field] || 0) / stats.averageLengths[field];
+        weightedFrequency += weight * frequency / (1 - B + B * lengthRatio);
+      });
+
+      if (weightedFrequency > 0) {
+        matched += 1;
+        score += idf[term] * (weightedFrequency * (K1 + 1)) / (weightedFrequency + K1);
+      }
+    });
+
+    // Favor movies that match more of the query's words
+    score *= matched / terms.length;
+
+    return { movieId: doc.movieId, score: Math.round(score * 1000) / 1000, tags: doc.tags || [] };
+  });
+
+  results.sort((a, b) => b.score - a.score || a.movieId - b.movieId);
+
+  return { terms: new Set(terms), results: results.slice(0, MAX_CANDIDATES) };
+}
+
+/**
+ * Highlighted title, summary snippet and matching tags for a search result
+ */
+function highlightMovie(movie, tags, terms) {
+  return {
+    title: highlight(movie.title, terms),
+    summary: snippet(movie.summary, terms),
+    tags: tags.map(tag => highlight(tag, terms)).filter(Boolean)
+  };
+}
+
+module.exports = {
+  SEARCH_COLLECTION,
+  buildSearchDocument,
+  refreshSearchDocument,
+  searchMovies,
+  highlightMovie
+};
@@ -0,0 +1,203 @@
+// server/search/suggest.js
+// Typo-tolerant title autocomplete. Titles are held in memory (a few MB even
+// for large catalogs) and matched by prefix first, then by edit distance.
+// Edit distance is only computed for titles sharing enough letter pairs with
+// the input, found through an index built with the title list.
+const { fold } = require('./analyzer');
+
+const TITLES_TTL_MS = 5 * 60 * 1000;
+
+// Most titles checked by edit distance per request, best candidates first
+const MAX_FUZZY_CANDIDATES = 500;
+
+// MovieLens moves leading articles to the end: "Terminator, The (1984)"
+const TRAILING_ARTICLE = /^(.*), (the|a|an|les|la|le|l'|die|der|das|il|el|los|las)$/i;
+const LEADING_ARTICLE = /^(the|a|an) /;
+
+// { titles, pairs } where pairs maps each letter pair to the indexes of the
+// titles containing it
+let cachedTitles = null;
+let cachedTitlesAt = 0;
+
+/**
+ * Fold a title or query into lowercase words for matching:
+ * "Terminator, The (1984)" -> "the terminator"
+ */
+function normalize(text) {
+  const folded = text
+    .replace(/\s*\(\d{4}\)\s*$/, '')
+    .trim()
+    .replace(TRAILING_ARTICLE, '$2 $1');
+
+  return fold(folded).replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+/**
+ * Distinct adjacent character pairs of text: "dark" -> da, ar, rk
+ */
+function letterPairs(text) {
+  const pairs = new Set();
+  for (let i = 1; i < text.length; i++) {
+    pairs.add(text.slice(i - 1, i + 1));
+  }
+  return pairs;
+}
+
+/**
+ * Smallest edit distance (insert, delete, substitute, swap adjacent) between
+ * the query and any prefix of text, giving up once it exceeds maxEdits.
+ */
+function prefixEditDistance(query, text, maxEdits) {
+  const m = query.length;
+  const n = Math.min(text.length, m + maxEdits);
+
+  let previous2 = null;
+  let previous = Array.from({ length: n + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= m; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= n; j++) {
+      const cost = query[i - 1] === text[j - 1] ? 0 : 1;
+      let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && query[i - 1] === text[j - 2] && query[i - 2] === text[j - 1]) {
+        value = Math.min(value, previous2[j - 2] + 1);
+      }
+      current.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > maxEdits) return Infinity;
+    previous2 = previous;
+    previous = current;
+  }
+
+  return Math.min(...previous);
+}
+
+/**
+ * Load (or reuse) the in-memory title list and its letter pair index
+ */
+async function getTitles(db) {
+  if (cachedTitles && Date.now() - cachedTitlesAt < TITLES_TTL_MS) {
+    return cachedTitles;
+  }
+
+  const movies = await db.collection('movies')
+    .find({}, { projection: { _id: 0, movieId: 1, title: 1, year: 1, ratingCount: 1 } })
+    .toArray();
+
+  const titles = movies.map(movie => {
+    const normalized = normalize(movie.title);
+    // Offsets where each word starts, for matching "knight" in "the dark knight"
+    const wordStarts = [0];
+    for (let i = 1; i < normalized.length; i++) {
+      if (normalized[i - 1] === ' ') wordStarts.push(i);
+    }
+    return { ...movie, normalized, bare: normalized.replace(LEADING_ARTICLE, ''), wordStarts };
+  });
+
+  const pairs = new Map();
+  titles.forEach((entry, index) => {
+    for (const pair of letterPairs(entry.normalized)) {
+      if (!pairs.has(pair)) pairs.set(pair, []);
+      pairs.get(pair).push(index);
+    }
+  });
+
+  cachedTitles = { titles, pairs };
+  cachedTitlesAt = Date.now();
+
+  return cachedTitles;
+}
+
+/**
+ * Reload titles on the next request, e.g. after a movie is added, renamed or deleted
+ */
+function clearTitleCache() {
+  cachedTitles = null;
+}
+
+/**
+ * Indexes of the titles worth an edit distance check against the query: those
+ * not already matched that share enough of its letter pairs, most shared (then
+ * most rated) first, and at most MAX_FUZZY_CANDIDATES of them
+ */
+function fuzzyCandidates({ titles, pairs }, q, maxEdits, matched) {
+  const queryPairs = letterPairs(q);
+  // One edit changes at most three of the query's pairs (swapping two letters
+  // does); always ask for at least one in common
+  const minShared = Math.max(1, queryPairs.size - 3 * maxEdits);
+
+  const shared = new Map();
+  for (const pair of queryPairs) {
+    for (const index of pairs.get(pair) || []) {
+      shared.set(index, (shared.get(index) || 0) + 1);
+    }
+  }
+
+  return [...shared]
+    .filter(([index, count]) => count >= minShared && !matched.has(index))
+    .sort(([a, countA], [b, countB]) =>
+      countB - countA ||
+      (titles[b].ratingCount || 0) - (titles[a].ratingCount || 0)
+    )
+    .slice(0, MAX_FUZZY_CANDIDATES)
+    .map(([index]) => index);
+}
+
+/**
+ * Suggest titles for partially typed, possibly misspelled input.
+ * Ranks whole-title prefix matches first, then word prefix matches, then
+ * fuzzy matches by edit distance; ties go to more-rated movies.
+ */
+async function suggestTitles(db, query, limit = 8) {
+  const q = normalize(query);
+  if (q.length < 2) return [];
+
+  // Allow more typos in longer input
+  const maxEdits = q.length <= 3 ? 0 : q.length <= 6 ? 1 : 2;
+  const index = await getTitles(db);
+  const matches = [];
+  const matched = new Set();
+
+  index.titles.forEach((entry, i) => {
+    if (entry.normalized.startsWith(q) || entry.bare.startsWith(q)) {
+      matches.push({ entry, tier: 0, distance: 0 });
+      matched.add(i);
+    } else if (entry.wordStarts.some(start => entry.normalized.startsWith(q, start))) {
+      matches.push({ entry, tier: 1, distance: 0 });
+      matched.add(i);
+    }
+  });
+
+  // Edit distance is the expensive part; only pay for it when prefixes run short
+  if (matches.length < limit && maxEdits > 0) {
+    for (const i of fuzzyCandidates(index, q, maxEdits, matched)) {
+      const entry = index.titles[i];
+      const distance = Math.min(...entry.wordStarts.map(start =>
+        prefixEditDistance(q, entry.normalized.slice(start), maxEdits)
+      ));
+      if (distance <= maxEdits) {
+        matches.push({ entry, tier: 2, distance });
+      }
+    }
+  }
+
+  matches.sort((a, b) =>
+    a.tier - b.tier ||
+    a.distance - b.distance ||
+    (b.entry.ratingCount || 0) - (a.entry.ratingCount || 0) ||
+    a.entry.normalized.length - b.entry.normalized.length
+  );
+
+  return matches.slice(0, limit).map(({ entry, tier }) => ({
+    movieId: entry.movieId,
+    title: entry.title,
+    year: entry.year,
+    match: ['prefix', 'word', 'fuzzy'][tier]
+  }));
+}
+
+module.exports = { suggestTitles, clearTitleCache };
@@ -0,0 +1,210 @@
+/**
+ * Rate Limiter Tests
+ *
+ * Checks server/middleware/rate_limit.js with a controllable clock: bursts,
+ * refill, Retry-After, separate read and write budgets, the byIp and byUser
+ * stages, and RedisStore against a fake client.
+ *
+ * Usage:
+ *   npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryStore, RedisStore, createRateLimiter } = require('../server/middleware/rate_limit');
+
+const BUDGETS = {
+  read: { perMinute: 60, burst: 3 },
+  write: { perMinute: 6, burst: 2 }
+};
+
+// A limiter whose time only moves when the test says so
+function testLimiter(options = {}) {
+  let now = 0;
+  const limiter = createRateLimiter({ budgets: BUDGETS, ipMultiplier: 2, clock: () => now, ...options });
+  return { ...limiter, advance: ms => { now += ms; } };
+}
+
+function request({ method = 'GET', ip = '203.0.113.1', user } = {}) {
+  return { method, ip, user };
+}
+
+function response() {
+  return { headers: {}, set(name, value) { this.headers[name] = value; } };
+}
+
+// Run one middleware and return the error it passed to next, if any
+function run(middleware, req, res = response()) {
+  return new Promise(resolve => middleware(req, res, resolve));
+}
+
+// Run both stages as the app mounts them
+async function send(limiter, req) {
+  const res = response();
+  const error = await run(limiter.byIp, req, res) || await run(limiter.byUser, req, res);
+  return { error, res };
+}
+
+test('allows a burst, then rejects with 429', async () => {
+  const limiter = testLimiter();
+  for (let i = 0; i < 3; i++) {
+    const { error } = await send(limiter, request());
+    assert.equal(error, undefined);
+  }
+
+  const { error } = await send(limiter, request());
+  assert.equal(error.status, 429);
+  assert.equal(error.code, 'RATE_LIMITED');
+});
+
+test('tokens refill over time', async () => {
+  const limiter = testLimiter();
+  for (let i = 0; i < 3; i++) await send(limiter, request());
+  assert.equal((await send(limiter, request())).error.status, 429);
+
+  // 60 a minute: one token a second
+  limiter.advance(1000);
+  assert.equal((await send(limiter, request())).error, undefined);
+  assert.equal((await send(limiter, request())).error.status, 429);
+});
+
+test('Retry-After is the wait for the next whole token', async () => {
+  const limiter = testLimiter();
+  for (let i = 0; i < 2; i++) await send(limiter, request({ method: 'POST' }));
+
+  // 6 a minute: one token every 10 seconds
+  const { error } = await send(limiter, request({ method: 'POST' }));
+  assert.equal(error.retryAfter, 10);
+
+  limiter.advance(4000);
+  assert.equal((await send(limiter, request({ method: 'POST' }))).error.retryAfter, 6);
+});
+
+test('reads and writes have separate budgets', async () => {
+  const limiter = testLimiter();
+  for (let i = 0; i < 2; i++) await send(limiter, request({ method: 'POST' }));
+  assert.equal((await send(limiter, request({ method: 'DELETE' }))).error.status, 429);
+
+  assert.equal((await send(limiter, request())).error, undefined);
+});
+
+test('RateLimit-Remaining reports the bucket the request was charged to', async () => {
+  const limiter = testLimiter();
+  const { res } = await send(limiter, request());
+  assert.equal(res.headers['RateLimit-Remaining'], '2');
+});
+
+test('signed-in users behind one address each get their own budget', async () => {
+  const limiter = testLimiter();
+  const alice = { userId: 1 };
+  const bob = { userId: 2 };
+
+  for (let i = 0; i < 3; i++) {
+    assert.equal((await send(limiter, request({ user: alice }))).error, undefined);
+  }
+  assert.equal((await send(limiter, request({ user: alice }))).error.status, 429);
+
+  assert.equal((await send(limiter, request({ user: bob }))).error, undefined);
+});
+
+test('a user follows their limit across addresses', async () => {
+  const limiter = testLimiter();
+  const alice = { userId: 1 };
+  for (let i = 0; i < 3; i++) {
+    await send(limiter, request({ user: alice, ip: `203.0.113.${i + 1}` }));
+  }
+  assert.equal((await send(limiter, request({ user: alice, ip: '198.51.100.7' }))).error.status, 429);
+});
+
+test('a request turned away per user does not spend the address\'s budget', async () => {
+  const limiter = testLimiter();
+  const alice = { userId: 1 };
+  for (let i = 0; i < 3; i++) await send(limiter, request({ user: alice }));
+
+  // Alice keeps retrying while throttled
+  for (let i = 0; i < 10; i++) {
+    assert.equal((await send(limiter, request({ user: alice }))).error.status, 429);
+  }
+
+  // The address still has its full multiplied budget minus Alice's 3: room for 3 more
+  const bob = { userId: 2 };
+  for (let i = 0; i < 3; i++) {
+    assert.equal((await send(limiter, request({ user: bob }))).error, undefined);
+  }
+});
+
+test('byIp caps an address before credentials are checked', async () => {
+  const limiter = testLimiter();
+
+  // Twice the per-user burst, whoever the requests claim to be
+  for (let i = 0; i < 6; i++) {
+    assert.equal(await run(limiter.byIp, request()), undefined);
+  }
+  assert.equal((await run(limiter.byIp, request())).status, 429);
+});
+
+test('an unreachable store lets requests through', async () => {
+  const failing = { take: async () => { throw new Error('connection refused'); } };
+  const limiter = testLimiter({ store: failing });
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    assert.equal((await send(limiter, request())).error, undefined);
+  } finally {
+    console.error = originalError;
+  }
+});
+
+test('MemoryStore forgets buckets once they are full again', async () => {
+  const store = new MemoryStore();
+  const bucket = { capacity: 2, refillPerMs: 1 / 1000, now: Date.now() - 10000 };
+  await store.take('k', bucket);
+  assert.equal(store.buckets.size, 1);
+
+  store.sweep();
+  assert.equal(store.buckets.size, 0);
+});
+
+// Does what the Lua script does, keyed the same way, so RedisStore's
+// arguments and parsing are what get tested
+function fakeRedisClient() {
+  const hashes = new Map();
+  return {
+    hashes,
+    async eval(script, numKeys, key, capacity, refillPerMs, now, cost) {
+      assert.equal(numKeys, 1);
+      const stored = hashes.get(key);
+      let tokens = stored
+        ? Math.min(capacity, parseFloat(stored.tokens) + (now - stored.updatedAt) * refillPerMs)
+        : capacity;
+      let allowed = 0;
+      if (tokens >= cost) {
+        tokens = Math.min(capacity, tokens - cost);
+        allowed = 1;
+      }
+      hashes.set(key, { tokens: String(tokens), updatedAt: now });
+      return [allowed, String(tokens)];
+    }
+  };
+}
+
+test('RedisStore takes and gives back tokens through the client', async () => {
+  const client = fakeRedisClient();
+  const store = new RedisStore(client, { prefix: 'test:' });
+  const bucket = { capacity: 2, refillPerMs: 1 / 1000, now: 0 };
+
+  assert.deepEqual(await store.take('k', bucket), { allowed: true, tokens: 1 });
+  assert.deepEqual(await store.take('k', bucket), { allowed: true, tokens: 0 });
+  assert.deepEqual(await store.take('k', bucket), { allowed: false, tokens: 0 });
+  assert.deepEqual(await store.give('k', bucket), { allowed: true, tokens: 1 });
+  assert.ok(client.hashes.has('test:k'));
+});
+
+test('createRateLimiter works on a RedisStore', async () => {
+  const limiter = testLimiter({ store: new RedisStore(fakeRedisClient()) });
+  for (let i = 0; i < 3; i++) await send(limiter, request());
+
+  const { error } = await send(limiter, request());
+  assert.equal(error.status, 429);
+  assert.equal(error.retryAfter, 1);
+});
@@ -0,0 +1,57 @@
+/**
+ * Search Engine Tests
+ *
+ * Checks server/search/engine.js against an in-memory search index: search
+ * documents merge tags the way the tags API compares them, and queries with
+ * nothing to rank by fall back to a plain title match.
+ *
+ * Usage:
+ *   npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildSearchDocument, searchMovies } = require('../server/search/engine');
+
+const MOVIES = [
+  { movieId: 1, title: 'Who Framed Roger Rabbit? (1988)', summary: 'A toon rabbit is framed for murder.' },
+  { movieId: 2, title: 'Rabbit Hole (2010)', summary: 'A couple grieves.' }
+];
+
+// Just enough of a database for searchMovies: the index stats aggregation and
+// the lookup of documents containing any query term
+function fakeDb(documents) {
+  return {
+    collection: () => ({
+      aggregate: () => ({
+        toArray: async () => [{
+          documentCount: documents.length,
+          title: 1,
+          summary: 1,
+          tags: 1
+        }]
+      }),
+      find: ({ terms: { $in: terms } }) => ({
+        toArray: async () => documents.filter(doc => doc.terms.some(term => terms.includes(term)))
+      })
+    })
+  };
+}
+
+const db = fakeDb(MOVIES.map(movie => buildSearchDocument(movie)));
+
+test('tags differing only by case or spacing are listed once', () => {
+  const document = buildSearchDocument(MOVIES[0], ['Roger  Rabbit', 'roger rabbit ', 'toons']);
+  // The last spelling seen is the one shown
+  assert.deepEqual(document.tags, ['roger rabbit', 'toons']);
+});
+
+test('ranks movies matching the query terms', async () => {
+  const ranked = await searchMovies(db, 'rabbit murder');
+  assert.deepEqual(ranked.results.map(result => result.movieId), [1, 2]);
+});
+
+test('a query of only stop words falls back to a title match', async () => {
+  assert.equal(await searchMovies(db, 'The Who'), null);
+  assert.equal(await searchMovies(db, '  of  '), null);
+});